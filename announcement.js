@@ -0,0 +1,96 @@
+/**
+ * Announcement
+ * A day's duties as a short message (settings.announcement.template), and the webhook request
+ * that posts it. Shared by the web UI (classic script) and the server.
+ */
+
+const ANNOUNCE_WEEKDAYS = ['日', '月', '火', '水', '木', '金', '土'];
+
+// Placeholders every template understands; each role adds {役割名} (or {役割id})
+const ANNOUNCE_PLACEHOLDERS = {
+    '日付': '10月19日 のような日付',
+    '曜日': '月・火…',
+    'クラス': 'クラスの名前',
+    '欠席': '欠席者 (いなければ「なし」)'
+};
+
+function defaultAnnouncementTemplate(roles) {
+    return [
+        '【{日付}({曜日}) の当番】',
+        ...roles.map(role => `${role.name}: {${role.name}}`),
+        '欠席: {欠席}'
+    ].join('\n');
+}
+
+function announceNames(state, ids) {
+    return ids.map(id => {
+        const member = state.members.find(m => m.id === id);
+        return member ? member.name : id;
+    });
+}
+
+function announceMemberNames(state, ids) {
+    return ids.length > 0 ? announceNames(state, ids).join('・') : 'なし';
+}
+
+// Members off for the whole day (weekly role exclusions are not absences)
+function announcementAbsentees(day) {
+    const onLeave = (day.plannedAbsences || []).filter(p => p.type !== 'weekly').map(p => p.memberId);
+    return [...new Set(day.manualAbsentees.concat(onLeave))];
+}
+
+/**
+ * The message for `day` (a RosterEngine#simulateRange day), or null on holidays.
+ * Unknown placeholders are left as they are so typos show up in the preview.
+ */
+function announcementText(state, day, { className = '' } = {}) {
+    if (day.isHoliday) return null;
+    const roles = state.settings.roles;
+    const template = state.settings.announcement.template || defaultAnnouncementTemplate(roles);
+    const values = {
+        '日付': `${day.date.getMonth() + 1}月${day.date.getDate()}日`,
+        '曜日': ANNOUNCE_WEEKDAYS[day.date.getDay()],
+        'クラス': className,
+        '欠席': announceMemberNames(state, announcementAbsentees(day))
+    };
+    roles.forEach(role => {
+        const value = role.type === 'clean' && day.noCleaning
+            ? '掃除なし'
+            : announceMemberNames(state, day.assignments[role.id] || []);
+        values[role.id] = value;
+        values[role.name] = value;
+    });
+
+    return template.replace(/\{([^{}]+)\}/g, (match, key) => (Object.hasOwn(values, key) ? values[key] : match));
+}
+
+/**
+ * { url, headers, body } to POST `text` for `day` in the webhook's format
+ * (engine CONFIG.webhookFormats). body is a JSON string. The token is not in the class's
+ * settings (see engine takeWebhookToken): callers pass { ...webhook, token }.
+ */
+function webhookRequest(webhook, text, day, state) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (webhook.token) headers.Authorization = `Bearer ${webhook.token}`;
+
+    let payload;
+    if (webhook.format === 'line') {
+        payload = { messages: [{ type: 'text', text }] };
+    } else if (webhook.format === 'generic') {
+        payload = {
+            date: day.key,
+            text,
+            assignments: Object.fromEntries(state.settings.roles.map(role => [role.name, announceNames(state, day.assignments[role.id] || [])])),
+            absentees: announceNames(state, announcementAbsentees(day)),
+            noCleaning: day.noCleaning
+        };
+    } else {
+        payload = { text };
+    }
+    return { url: webhook.url, headers, body: JSON.stringify(payload) };
+}
+
+// Node: require('./announcement.js')
+if (typeof module === 'object' && module.exports) {
+    module.exports = { ANNOUNCE_PLACEHOLDERS, defaultAnnouncementTemplate, announcementText, webhookRequest };
+}
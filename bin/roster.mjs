@@ -0,0 +1,204 @@
+#!/usr/bin/env node
+/**
+ * Cleaning Roster CLI
+ * Generates schedules from an exported state file (💾 このクラスを保存, or 🗂 全クラスを保存
+ * with --workspace) with the same engine the web UI uses, so batch jobs and the browser always agree.
+ * `roster serve` runs the shared classroom server (server.mjs).
+ */
+import { readFileSync } from 'node:fs';
+import { parseArgs } from 'node:util';
+import exporter from '../schedule-export.js';
+
+const USAGE = `使い方:
+  roster schedule --state <roster.json> [--workspace <クラス名>] [--from YYYY-MM-DD] [--to YYYY-MM-DD] [--format table|json|csv|duties|ics] [--member <名前>] [--tz <timezone>]
+
+  --state      エクスポートしたデータ (JSON)
+  --workspace  全クラスを保存したファイルのとき、使うクラスの名前 (または id)
+  --from       開始日 (省略時: 今月1日)
+  --to         終了日 (省略時: 開始日の月末)
+  --format     table (既定) / json / csv (1日1行) / duties (役割ごとに1行のCSV) / ics (カレンダー)
+  --member     duties / ics で、この人の当番だけを書き出す (名前・出席番号・id)
+  --tz         タイムゾーン (例: Asia/Tokyo)。ブラウザと同じにしないと日付がずれることがあります
+
+  roster serve --data <フォルダ> [--port 8080] [--host 0.0.0.0] [--token <合言葉>] [--tz <timezone>]
+
+  --data       クラスのデータを保存するフォルダ (なければ作ります)
+  --port       待ち受けるポート (既定: 8080)
+  --host       待ち受けるアドレス (既定: 0.0.0.0 = すべて。この PC だけなら 127.0.0.1)
+  --token      合言葉。指定すると、同じ合言葉を設定したブラウザだけが読み書きできます`;
+
+const WEEKDAYS = ['日', '月', '火', '水', '木', '金', '土'];
+
+function fail(message) {
+    console.error(message);
+    process.exit(1);
+}
+
+function parseDateOption(value, name) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) fail(`--${name} は YYYY-MM-DD 形式で指定してください: ${value}`);
+    return value;
+}
+
+// An all-classes file holds { workspaces: [{ id, name, state }] }: pick one by name or id
+function pickWorkspace(bundle, wanted) {
+    const names = bundle.workspaces.map(ws => ws.name).join(', ');
+    if (!wanted) fail(`全クラスのファイルです。--workspace でクラスを選んでください: ${names}`);
+    const ws = bundle.workspaces.find(w => w.name === wanted || w.id === wanted);
+    if (!ws) fail(`クラス「${wanted}」がありません: ${names}`);
+    return ws.state;
+}
+
+// Exported JSON -> normalized plain state, or exit with the same messages the import dialog shows
+function loadState(path, workspace, { migrateState, validateStateData, normalizeState }) {
+    let data;
+    try {
+        data = JSON.parse(readFileSync(path, 'utf8'));
+    } catch (e) {
+        fail(`${path} を読み込めません: ${e.message}`);
+    }
+    if (Array.isArray(data.workspaces)) data = pickWorkspace(data, workspace);
+    else if (workspace) fail(`${path} は1クラス分のファイルです (--workspace は不要です)`);
+    migrateState(data);
+    const errors = validateStateData(data);
+    if (errors.length > 0) fail(`${path} の形式が正しくありません:\n${errors.map(e => `  - ${e}`).join('\n')}`);
+    return normalizeState(data);
+}
+
+// --- Output ---
+
+function memberName(state, id) {
+    const member = state.members.find(m => m.id === id);
+    return member ? member.name : id;
+}
+
+function toJson(state, schedule) {
+    return JSON.stringify(exporter.scheduleDays(state, schedule), null, 2) + '\n';
+}
+
+// One row per day: date, weekday, then a cell per role; holidays get their name instead
+function toRows(state, schedule) {
+    const roles = state.settings.roles;
+    const header = ['日付', '曜日', ...roles.map(r => r.name), '欠席'];
+    const rows = schedule.map(day => {
+        const cells = [day.key, WEEKDAYS[day.date.getDay()]];
+        if (day.isHoliday) {
+            cells.push(`休み${day.label ? `: ${day.label}` : ''}`, ...roles.slice(1).map(() => ''));
+        } else {
+            roles.forEach(role => {
+                if (role.type === 'clean' && day.noCleaning) cells.push(`掃除なし${day.label ? `: ${day.label}` : ''}`);
+                else cells.push((day.assignments[role.id] || []).map(id => memberName(state, id)).join('・'));
+            });
+        }
+        cells.push(exporter.scheduleAbsentees(day).map(a => memberName(state, a.id)).join('・'));
+        return cells;
+    });
+    return [header, ...rows];
+}
+
+function toCsv(state, schedule) {
+    const escape = value => (/[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+    return toRows(state, schedule).map(row => row.map(escape).join(',')).join('\r\n') + '\r\n';
+}
+
+// Full-width characters take two terminal columns
+function displayWidth(text) {
+    return [...text].reduce((width, ch) => width + (ch.codePointAt(0) > 0xff ? 2 : 1), 0);
+}
+
+function toTable(state, schedule) {
+    const rows = toRows(state, schedule);
+    const widths = rows[0].map((_, col) => Math.max(...rows.map(row => displayWidth(row[col]))));
+    const line = row => row.map((cell, col) => cell + ' '.repeat(widths[col] - displayWidth(cell))).join('  ').trimEnd();
+    return [line(rows[0]), widths.map(w => '-'.repeat(w)).join('  '), ...rows.slice(1).map(line)].join('\n') + '\n';
+}
+
+const FORMATS = {
+    table: toTable,
+    json: toJson,
+    csv: toCsv,
+    duties: (state, schedule, memberId) => exporter.scheduleToCsv(state, schedule, { memberId }),
+    ics: (state, schedule, memberId) => exporter.scheduleToIcs(state, schedule, {
+        memberId,
+        calendarName: memberId ? `${memberName(state, memberId)}の当番` : '当番表'
+    })
+};
+
+function pickMember(state, wanted) {
+    const member = state.members.find(m => m.name === wanted || m.id === wanted || String(m.studentNumber) === wanted);
+    if (!member) fail(`--member「${wanted}」が名簿にいません`);
+    return member.id;
+}
+
+// --- Commands ---
+
+async function schedule(options) {
+    if (!options.state) fail(`--state を指定してください\n\n${USAGE}`);
+    const format = FORMATS[options.format || 'table'];
+    if (!format) fail(`--format は table / json / csv / duties / ics のいずれかです: ${options.format}`);
+    if (options.member && !['duties', 'ics'].includes(options.format)) fail('--member は --format duties / ics のときだけ使えます');
+
+    // Dates (and dateKeys) depend on the time zone, exactly as in the browser
+    if (options.tz) process.env.TZ = options.tz;
+    const roster = await import('../engine.mjs');
+    const state = loadState(options.state, options.workspace, roster);
+    const engine = new roster.RosterEngine(state);
+    const memberId = options.member ? pickMember(state, options.member) : null;
+
+    const today = new Date();
+    const from = roster.parseLocalDate(options.from
+        ? parseDateOption(options.from, 'from')
+        : roster.localDateValue(new Date(today.getFullYear(), today.getMonth(), 1)));
+    const to = options.to
+        ? roster.parseLocalDate(parseDateOption(options.to, 'to'))
+        : new Date(from.getFullYear(), from.getMonth() + 1, 0);
+    if (to < from) fail('--to が --from より前です');
+
+    process.stdout.write(format(state, engine.simulateRange(from, to), memberId));
+}
+
+async function serve(options) {
+    if (!options.data) fail(`--data を指定してください\n\n${USAGE}`);
+    const port = Number(options.port || 8080);
+    if (!Number.isInteger(port) || port < 1 || port > 65535) fail(`--port が正しくありません: ${options.port}`);
+
+    if (options.tz) process.env.TZ = options.tz;
+    const { createRosterServer } = await import('../server.mjs');
+    const server = createRosterServer({ dataDir: options.data, token: options.token || null });
+    server.on('error', e => fail(`サーバーを起動できません: ${e.message}`));
+    server.listen(port, options.host || '0.0.0.0', () => {
+        console.log(`当番表サーバー: http://${options.host || 'localhost'}:${port}/ (データ: ${options.data})`);
+        if (!options.token) console.log('※ --token がないため、同じネットワークの誰でも読み書きできます');
+    });
+}
+
+const COMMANDS = { schedule, serve };
+
+let parsed;
+try {
+    parsed = parseArgs({
+        allowPositionals: true,
+        options: {
+            state: { type: 'string' },
+            workspace: { type: 'string' },
+            from: { type: 'string' },
+            to: { type: 'string' },
+            format: { type: 'string' },
+            member: { type: 'string' },
+            tz: { type: 'string' },
+            data: { type: 'string' },
+            port: { type: 'string' },
+            host: { type: 'string' },
+            token: { type: 'string' },
+            help: { type: 'boolean', short: 'h' }
+        }
+    });
+} catch (e) {
+    fail(`${e.message}\n\n${USAGE}`);
+}
+
+const command = COMMANDS[parsed.positionals[0]];
+if (parsed.values.help || !command) {
+    console.log(USAGE);
+    process.exit(parsed.values.help ? 0 : 1);
+}
+await command(parsed.values);
@@ -0,0 +1,1362 @@
+/**
+ * Cleaning Roster Engine
+ * Stream & Debt Model, without any browser dependencies.
+ *
+ * The browser loads this as a classic script (index.html, before script.js), so it keeps
+ * working when index.html is opened straight from disk. Node loads it as CommonJS;
+ * engine.mjs is the ES module entry point for scripts and the CLI (bin/roster.mjs).
+ */
+
+// Browser: global from holidays.js. Node: required.
+const nationalHolidayName = typeof japaneseHolidayName === 'function'
+    ? japaneseHolidayName
+    : require('./holidays.js').japaneseHolidayName;
+
+// --- Constants & Config ---
+const CONFIG = {
+    // Default role set for a fresh roster. The live list is stored in settings.roles
+    // and can be edited from the members tab.
+    roles: [
+        { id: 'nichoku', name: '日直', type: 'single', count: 1, pointer: 'nichoku', rotation: 'single', style: 'text-yellow-300' },
+        { id: 'speech', name: 'スピーチ', type: 'single', count: 1, pointer: 'speech', rotation: 'single', style: 'text-green-300' },
+        { id: 'comment', name: 'コメント', type: 'single', count: 1, pointer: 'comment', rotation: 'single', style: 'text-green-200' },
+        { id: 'clean', name: '掃除', type: 'clean', count: 2, pointer: 'clean', rotation: 'window', style: 'text-blue-300' }
+    ],
+    // Default same-day conflict rules. The live list is stored in settings.rules.
+    // Role selectors are a role id, or 'type:clean' for every cleaning role.
+    rules: [
+        { id: 'speech_comment', type: 'exclude', role: 'speech', other: 'comment' },
+        { id: 'clean_clean', type: 'exclude', role: 'type:clean', other: 'type:clean' }
+    ],
+    ruleTypes: {
+        exclude: '同じ日に兼任しない',
+        maxPerDay: '1人1日の役割数の上限',
+        notAfter: '前日の担当者を入れない'
+    },
+    // Who may take a role at all, from member tags / start dates. The live list is settings.eligibility:
+    // { id, type, role (selector), tag: string | null, withinDays: number | null }, where a member
+    // is covered when they have `tag` and/or started less than `withinDays` days ago (both when both set).
+    eligibilityTypes: {
+        exclude: '担当させない',
+        notTogether: '同じ日の同じ役割で組ませない'
+    },
+    rotations: {
+        single: '通常 (1人ずつ進む)',
+        window: 'スライド (毎日1つずれる)',
+        group: '固定グループ (人数分進む)'
+    },
+    // Default school calendar. The live copy is stored in settings.calendar.
+    // schoolDays are Date#getDay() values; periods are local "YYYY-MM-DD" ranges (inclusive).
+    calendar: {
+        schoolDays: [1, 2, 3, 4, 5],
+        nationalHolidays: true,
+        periods: [] // { id, name, from, to, type: 'holiday' | 'noCleaning' }
+    },
+    periodTypes: {
+        holiday: '休み (授業なし)',
+        noCleaning: '掃除なし'
+    },
+    // Default debt policy. The live copy is stored in settings.debtPolicy.
+    // Per-role "absence forgives" is the role's forgiveAbsence flag.
+    debtPolicy: {
+        maxDebt: null, // Most turns one member can owe, all pointers together (null: no limit)
+        expireAfter: null, // School days before an unpaid turn is written off (null: never)
+        conflictDebt: true // Do skips for a same-day conflict (same-role / rule) create debt?
+    },
+    // Default morning announcement (see announcement.js). The live copy is settings.announcement.
+    // The webhook's token is not part of it (see takeWebhookToken).
+    announcement: {
+        template: null, // Message with {役割名} placeholders; null: built from the roles
+        webhook: {
+            url: '',
+            format: 'slack', // Body shape, see webhookFormats
+            time: null, // "HH:MM" to post every school day, null: only by hand
+            enabled: false
+        }
+    },
+    webhookFormats: {
+        slack: 'Slack 互換 ({ "text": ... })',
+        line: 'LINE Messaging API ({ "messages": [...] })',
+        generic: '汎用 JSON (日付・役割ごとの担当者・本文)'
+    },
+    // Colors handed out to newly added roles, in order
+    palette: ['text-pink-300', 'text-orange-300', 'text-teal-300', 'text-purple-300', 'text-lime-300', 'text-sky-300']
+};
+
+// --- Date Helpers ---
+// <input type="date"> value -> local Date (new Date("YYYY-MM-DD") would be UTC)
+function parseLocalDate(value) {
+    const [y, m, d] = value.split('-').map(Number);
+    return new Date(y, m - 1, d);
+}
+
+function localDateValue(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+// --- Schema & Migration ---
+// Version 1 (no schemaVersion field): debts, absentees and assignments keyed by display name.
+// Version 2: everything refers to members by their stable `id`.
+// Version 3: days (daySettings, ledger) are keyed by their local date, like the school calendar.
+const SCHEMA_VERSION = 3;
+
+// Ids of members, roles, pointers, rules and periods. The UI puts them into inline event
+// handlers, so imported or synced data must not carry quotes or markup; every generated id fits.
+const ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+// Next free generated member ID ("m1", "m2", ...)
+function generateMemberId(members) {
+    const max = members.reduce((n, m) => {
+        const num = parseInt(String(m.id || '').replace(/^m/, '')) || 0;
+        return Math.max(n, num);
+    }, 0);
+    return `m${max + 1}`;
+}
+
+// Upgrades saved or imported data to the current schema, in place. Returns `data`.
+function migrateState(data) {
+    const version = data.schemaVersion || 1;
+
+    if (version < 2) {
+        const members = data.members || [];
+        members.forEach(m => {
+            if (!m.id) m.id = generateMemberId(members);
+        });
+
+        // First member with a name wins; duplicate names could never be told apart in v1
+        const idByName = {};
+        members.forEach(m => {
+            if (!(m.name in idByName)) idByName[m.name] = m.id;
+        });
+        // Names nobody has any more are kept as-is so old history still shows something
+        const toId = name => idByName[name] || name;
+
+        const rekeyDebts = debts => {
+            const result = {};
+            Object.entries(debts || {}).forEach(([name, d]) => {
+                if (idByName[name]) result[idByName[name]] = d;
+            });
+            return result;
+        };
+
+        data.debts = rekeyDebts(data.debts);
+
+        Object.values(data.settings?.daySettings || {}).forEach(ds => {
+            if (ds.absentees) ds.absentees = ds.absentees.filter(name => idByName[name]).map(toId);
+        });
+
+        Object.values(data.ledger || {}).forEach(entry => {
+            entry.debts = rekeyDebts(entry.debts);
+            entry.manualAbsentees = (entry.manualAbsentees || []).map(toId);
+            entry.skips = (entry.skips || []).map(({ name, ...skip }) => ({ ...skip, memberId: toId(name) }));
+            Object.keys(entry.assignments || {}).forEach(roleId => {
+                entry.assignments[roleId] = entry.assignments[roleId].map(toId);
+            });
+        });
+    }
+
+    if (version < 3 && data.settings && !isNaN(new Date(data.settings.startDate))) {
+        // Days used to be keyed by the UTC date of the simulated day, which is the day before the
+        // date shown when startDate is past midnight UTC (a roster created before 9:00 in Japan).
+        // Each key moves to the local date of the same day. The data is assumed to come from this
+        // time zone: the browser's own storage, or the CLI/server run with the browser's --tz.
+        const start = new Date(data.settings.startDate);
+        const utcKey = date => date.toISOString().slice(0, 10);
+        const localKey = key => {
+            if (!/^\d{4}-\d{2}-\d{2}$/.test(key) || isNaN(Date.parse(key))) return key; // Left to validation
+            const index = Math.round((Date.parse(key) - Date.parse(utcKey(start))) / (1000 * 60 * 60 * 24));
+            for (const i of [index, index - 1, index + 1]) {
+                const date = new Date(start);
+                date.setDate(date.getDate() + i);
+                if (utcKey(date) === key) return localDateValue(date);
+            }
+            return key;
+        };
+        const rekey = days => (days && typeof days === 'object' && !Array.isArray(days)
+            ? Object.fromEntries(Object.entries(days).map(([key, value]) => [localKey(key), value]))
+            : days);
+        data.settings.daySettings = rekey(data.settings.daySettings);
+        data.ledger = rekey(data.ledger);
+    }
+
+    data.schemaVersion = SCHEMA_VERSION;
+    return data;
+}
+
+// Full structural check of (migrated) state data.
+// Returns a list of readable problems; an empty list means the data can be loaded.
+function validateStateData(data) {
+    const errors = [];
+    const isObject = v => v !== null && typeof v === 'object' && !Array.isArray(v);
+    const isCount = v => typeof v === 'number' && Number.isFinite(v);
+    // Round-tripped, since Date rolls impossible days over ("2026-02-30" is March 2)
+    const isDateKey = v => typeof v === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(v) && !isNaN(new Date(v)) && new Date(v).toISOString().slice(0, 10) === v;
+
+    const checkId = (id, what) => {
+        if (typeof id !== 'string' || !ID_PATTERN.test(id)) errors.push(`${what}の id「${id}」は英数字・「-」・「_」の64文字以内にしてください`);
+    };
+
+    if (!isObject(data)) return ['データがオブジェクト形式ではありません'];
+
+    // Members
+    const memberIds = new Set();
+    if (!Array.isArray(data.members)) {
+        errors.push('members (メンバーリスト) がありません');
+    } else {
+        if (data.members.length === 0) errors.push('メンバーが0人です');
+        data.members.forEach((m, i) => {
+            const label = `メンバー${i + 1}番目`;
+            if (!isObject(m)) {
+                errors.push(`${label}の形式が正しくありません`);
+                return;
+            }
+            if (typeof m.id !== 'string' || !m.id) errors.push(`${label}に id がありません`);
+            else if (memberIds.has(m.id)) errors.push(`${label}の id「${m.id}」が重複しています`);
+            else checkId(m.id, label);
+            memberIds.add(m.id);
+            if (typeof m.name !== 'string') errors.push(`${label}に名前がありません`);
+            if (typeof m.active !== 'boolean') errors.push(`${label}(${m.name})の有効/無効が true/false ではありません`);
+
+            // Optional availability: absence ranges and weekly exclusions
+            if (m.absences !== undefined) {
+                if (!Array.isArray(m.absences)) {
+                    errors.push(`${label}(${m.name})の欠席期間がリストではありません`);
+                } else {
+                    m.absences.forEach((a, j) => {
+                        if (!isObject(a) || !isDateKey(a.from) || !isDateKey(a.to)) errors.push(`${label}(${m.name})の欠席期間${j + 1}番目の日付が正しくありません`);
+                        else if (a.to < a.from) errors.push(`${label}(${m.name})の欠席期間${j + 1}番目の終了日が開始日より前です`);
+                        if (isObject(a) && a.id !== undefined) checkId(a.id, `${label}(${m.name})の欠席期間${j + 1}番目`);
+                    });
+                }
+            }
+            // Optional attributes for eligibility rules
+            if (m.tags !== undefined && (!Array.isArray(m.tags) || !m.tags.every(t => typeof t === 'string' && t))) {
+                errors.push(`${label}(${m.name})のタグが文字列のリストではありません`);
+            }
+            if (m.startDate !== undefined && !isDateKey(m.startDate)) errors.push(`${label}(${m.name})の転入日 (startDate) が正しくありません`);
+            if (m.weekly !== undefined) {
+                if (!Array.isArray(m.weekly)) {
+                    errors.push(`${label}(${m.name})の曜日ごとの除外がリストではありません`);
+                } else {
+                    m.weekly.forEach((w, j) => {
+                        if (!isObject(w) || !Number.isInteger(w.day) || w.day < 0 || w.day > 6 || typeof w.role !== 'string') {
+                            errors.push(`${label}(${m.name})の曜日ごとの除外${j + 1}番目の形式が正しくありません`);
+                        } else if (w.id !== undefined) {
+                            checkId(w.id, `${label}(${m.name})の曜日ごとの除外${j + 1}番目`);
+                        }
+                    });
+                }
+            }
+        });
+    }
+
+    // Pointers & debts
+    if (!isObject(data.pointers)) {
+        errors.push('pointers (ポインタ) がありません');
+    } else {
+        Object.entries(data.pointers).forEach(([key, v]) => {
+            checkId(key, 'ポインタ');
+            if (!isCount(v) || v < 0) errors.push(`ポインタ「${key}」の値が0以上の数値ではありません`);
+        });
+    }
+    const checkDebts = (debts, where) => {
+        if (!isObject(debts)) {
+            errors.push(`${where}の負債データの形式が正しくありません`);
+            return;
+        }
+        Object.entries(debts).forEach(([id, d]) => {
+            if (!isObject(d) || !Object.values(d).every(isCount)) {
+                errors.push(`${where}の負債データ (${id}) の形式が正しくありません`);
+                return;
+            }
+            checkId(id, `${where}の負債データのメンバー`);
+            Object.keys(d).forEach(key => checkId(key, `${where}の負債データのポインタ`));
+        });
+    };
+    if (data.debts !== undefined) checkDebts(data.debts, '現在');
+
+    // Settings
+    const settings = data.settings;
+    if (settings !== undefined) {
+        if (!isObject(settings)) {
+            errors.push('settings (設定) の形式が正しくありません');
+        } else {
+            if (isNaN(new Date(settings.startDate))) errors.push('開始日 (startDate) が日付ではありません');
+            if (settings.rosterId !== undefined && typeof settings.rosterId !== 'string') errors.push('当番表の id (rosterId) が文字列ではありません');
+
+            if (settings.roles !== undefined) {
+                if (!Array.isArray(settings.roles)) {
+                    errors.push('役割の設定 (roles) がリストではありません');
+                } else {
+                    settings.roles.forEach((r, i) => {
+                        const label = `役割${i + 1}番目`;
+                        if (!isObject(r) || typeof r.id !== 'string' || typeof r.name !== 'string') {
+                            errors.push(`${label}に id または名前がありません`);
+                            return;
+                        }
+                        checkId(r.id, label);
+                        if (r.pointer !== undefined) checkId(r.pointer, `${label}(${r.name})のポインタ`);
+                        if (r.count !== undefined && (!Number.isInteger(r.count) || r.count < 1)) errors.push(`${label}(${r.name})の人数が1以上の整数ではありません`);
+                        if (r.rotation !== undefined && !CONFIG.rotations[r.rotation]) errors.push(`${label}(${r.name})の方式「${r.rotation}」は不明です`);
+                        if (r.forgiveAbsence !== undefined && typeof r.forgiveAbsence !== 'boolean') errors.push(`${label}(${r.name})の欠席免除が true/false ではありません`);
+                    });
+                }
+            }
+
+            if (settings.rules !== undefined) {
+                if (!Array.isArray(settings.rules)) {
+                    errors.push('兼任ルール (rules) がリストではありません');
+                } else {
+                    settings.rules.forEach((rule, i) => {
+                        if (!isObject(rule) || !CONFIG.ruleTypes[rule.type]) {
+                            errors.push(`兼任ルール${i + 1}番目の種類が不明です`);
+                            return;
+                        }
+                        checkId(rule.id, `兼任ルール${i + 1}番目`);
+                        if (rule.type === 'maxPerDay' && !(rule.max >= 1)) errors.push(`兼任ルール${i + 1}番目の上限が1以上ではありません`);
+                    });
+                }
+            }
+
+            if (settings.eligibility !== undefined) {
+                if (!Array.isArray(settings.eligibility)) {
+                    errors.push('担当の条件 (eligibility) がリストではありません');
+                } else {
+                    settings.eligibility.forEach((rule, i) => {
+                        const label = `担当の条件${i + 1}番目`;
+                        if (!isObject(rule) || !CONFIG.eligibilityTypes[rule.type] || typeof rule.role !== 'string') {
+                            errors.push(`${label}の種類または役割が不明です`);
+                            return;
+                        }
+                        checkId(rule.id, label);
+                        const hasTag = typeof rule.tag === 'string' && rule.tag !== '';
+                        if (rule.tag != null && !hasTag) errors.push(`${label}のタグが文字列ではありません`);
+                        if (rule.withinDays != null && !(Number.isInteger(rule.withinDays) && rule.withinDays >= 1)) {
+                            errors.push(`${label}の日数が1以上の整数ではありません`);
+                        }
+                        if (!hasTag && rule.withinDays == null) errors.push(`${label}にタグも転入後の日数もありません`);
+                    });
+                }
+            }
+
+            const policy = settings.debtPolicy;
+            if (policy !== undefined) {
+                const isLimit = (v, min) => v === null || v === undefined || (Number.isInteger(v) && v >= min);
+                if (!isObject(policy)) {
+                    errors.push('負債のルール (debtPolicy) の形式が正しくありません');
+                } else {
+                    if (!isLimit(policy.maxDebt, 0)) errors.push('負債の上限 (maxDebt) は0以上の整数か null にしてください');
+                    if (!isLimit(policy.expireAfter, 1)) errors.push('負債の期限 (expireAfter) は1以上の整数か null にしてください');
+                    if (policy.conflictDebt !== undefined && typeof policy.conflictDebt !== 'boolean') errors.push('兼任で飛ばしたときの負債 (conflictDebt) が true/false ではありません');
+                }
+            }
+
+            const announcement = settings.announcement;
+            if (announcement !== undefined) {
+                const webhook = isObject(announcement) ? announcement.webhook : undefined;
+                if (!isObject(announcement) || (webhook !== undefined && !isObject(webhook))) {
+                    errors.push('お知らせの設定 (announcement) の形式が正しくありません');
+                } else {
+                    if (announcement.template !== undefined && announcement.template !== null && typeof announcement.template !== 'string') {
+                        errors.push('お知らせの文面 (template) が文字列ではありません');
+                    }
+                    if (webhook) {
+                        if (webhook.url !== undefined && typeof webhook.url !== 'string') errors.push('送信先 (webhook.url) が文字列ではありません');
+                        if (webhook.token !== undefined && typeof webhook.token !== 'string') errors.push('トークン (webhook.token) が文字列ではありません');
+                        if (webhook.format !== undefined && !CONFIG.webhookFormats[webhook.format]) errors.push(`送信の形式「${webhook.format}」は不明です`);
+                        if (webhook.time !== undefined && webhook.time !== null && !/^([01]\d|2[0-3]):[0-5]\d$/.test(webhook.time)) {
+                            errors.push('送信の時刻 (webhook.time) は HH:MM か null にしてください');
+                        }
+                        if (webhook.enabled !== undefined && typeof webhook.enabled !== 'boolean') errors.push('自動送信 (webhook.enabled) が true/false ではありません');
+                    }
+                }
+            }
+
+            const calendar = settings.calendar;
+            if (calendar !== undefined) {
+                if (!isObject(calendar)) {
+                    errors.push('学校カレンダー (calendar) の形式が正しくありません');
+                } else {
+                    if (calendar.schoolDays !== undefined &&
+                        !(Array.isArray(calendar.schoolDays) && calendar.schoolDays.every(d => Number.isInteger(d) && d >= 0 && d <= 6))) {
+                        errors.push('授業のある曜日 (schoolDays) は0〜6の数字のリストにしてください');
+                    }
+                    if (calendar.periods !== undefined && !Array.isArray(calendar.periods)) {
+                        errors.push('カレンダーの期間 (periods) がリストではありません');
+                    }
+                    (Array.isArray(calendar.periods) ? calendar.periods : []).forEach((p, i) => {
+                        const label = `カレンダーの期間${i + 1}番目`;
+                        if (!isObject(p) || !isDateKey(p.from) || !isDateKey(p.to)) {
+                            errors.push(`${label}の日付が正しくありません`);
+                            return;
+                        }
+                        checkId(p.id, label);
+                        if (p.to < p.from) errors.push(`${label}(${p.name})の終了日が開始日より前です`);
+                        if (!CONFIG.periodTypes[p.type]) errors.push(`${label}(${p.name})の種類「${p.type}」は不明です`);
+                    });
+                }
+            }
+
+            if (settings.daySettings !== undefined) {
+                if (!isObject(settings.daySettings)) {
+                    errors.push('日ごとの設定 (daySettings) の形式が正しくありません');
+                } else {
+                    Object.entries(settings.daySettings).forEach(([key, ds]) => {
+                        if (!isDateKey(key)) errors.push(`日ごとの設定の日付「${key}」が正しくありません`);
+                        if (!isObject(ds)) {
+                            errors.push(`${key} の設定の形式が正しくありません`);
+                            return;
+                        }
+                        ['isHoliday', 'noCleaning'].forEach(flag => {
+                            if (ds[flag] !== undefined && typeof ds[flag] !== 'boolean') errors.push(`${key} の ${flag} が true/false ではありません`);
+                        });
+                        if (ds.absentees !== undefined && !Array.isArray(ds.absentees)) {
+                            errors.push(`${key} の欠席者がリストではありません`);
+                        } else {
+                            (ds.absentees || []).forEach(id => {
+                                if (!memberIds.has(id)) errors.push(`${key} の欠席者「${id}」がメンバーにいません`);
+                            });
+                        }
+                        if (ds.overrides !== undefined) {
+                            if (!isObject(ds.overrides) || !Object.values(ds.overrides).every(Array.isArray)) {
+                                errors.push(`${key} の交代 (overrides) の形式が正しくありません`);
+                                return;
+                            }
+                            Object.values(ds.overrides).flat().forEach(id => {
+                                if (!memberIds.has(id)) errors.push(`${key} の交代の担当者「${id}」がメンバーにいません`);
+                            });
+                        }
+                    });
+                }
+            }
+        }
+    }
+
+    // Ledger
+    if (data.ledger !== undefined) {
+        if (!isObject(data.ledger)) {
+            errors.push('確定データ (ledger) の形式が正しくありません');
+        } else {
+            Object.entries(data.ledger).forEach(([key, entry]) => {
+                if (!isDateKey(key)) errors.push(`確定データの日付「${key}」が正しくありません`);
+                if (!isObject(entry) || !isObject(entry.assignments) || !isObject(entry.pointers)) {
+                    errors.push(`${key} の確定データの形式が正しくありません`);
+                    return;
+                }
+                // Ids of members deleted since are kept on purpose (history shows the id instead of the name)
+                Object.entries(entry.assignments).forEach(([roleId, ids]) => {
+                    if (!Array.isArray(ids) || !ids.every(id => typeof id === 'string' && ID_PATTERN.test(id))) {
+                        errors.push(`${key} の確定データの担当者 (${roleId}) がメンバー id のリストではありません`);
+                    }
+                });
+                if (entry.manualAbsentees !== undefined &&
+                    !(Array.isArray(entry.manualAbsentees) && entry.manualAbsentees.every(id => typeof id === 'string' && ID_PATTERN.test(id)))) {
+                    errors.push(`${key} の確定データの欠席者がメンバー id のリストではありません`);
+                }
+                Object.entries(entry.pointers).forEach(([pointerKey, v]) => {
+                    if (!Number.isInteger(v) || v < 0) errors.push(`${key} の確定データのポインタ「${pointerKey}」が0以上の整数ではありません`);
+                });
+                checkDebts(entry.debts, `${key} の確定データ`);
+                if (entry.debtLog !== undefined && !isObject(entry.debtLog)) errors.push(`${key} の確定データの負債の記録 (debtLog) の形式が正しくありません`);
+            });
+        }
+    }
+
+    return errors;
+}
+
+// --- State Helpers ---
+// A state is a plain object: { members, pointers, debts, settings, ledger } (see RosterState in
+// script.js for the browser copy, which adds persistence and undo on top).
+
+// Fill in anything older saves (or imports) don't have yet
+function normalizeState(state) {
+    // Hand-written files may leave settings out; start the rotation today like a new class
+    if (!state.settings) state.settings = { startDate: new Date().toISOString() };
+    const settings = state.settings;
+    if (!Array.isArray(settings.roles) || settings.roles.length === 0) {
+        // Saves from before editable roles: clean_a/clean_b shared the "clean" pointer
+        settings.roles = CONFIG.roles.map(r => ({ ...r }));
+    }
+    if (!Array.isArray(settings.rules)) {
+        // Saves from before the rule table had the same two rules hard-coded
+        settings.rules = CONFIG.rules.map(r => ({ ...r }));
+    }
+    if (!Array.isArray(settings.eligibility)) settings.eligibility = [];
+    if (!settings.daySettings) settings.daySettings = {};
+    if (!settings.calendar) {
+        // Saves from before the calendar only knew Sat/Sun: keep their schedules unchanged
+        settings.calendar = { ...JSON.parse(JSON.stringify(CONFIG.calendar)), nationalHolidays: false };
+    }
+    const calendar = settings.calendar;
+    if (!Array.isArray(calendar.schoolDays)) calendar.schoolDays = [...CONFIG.calendar.schoolDays];
+    if (!Array.isArray(calendar.periods)) calendar.periods = [];
+    settings.debtPolicy = { ...CONFIG.debtPolicy, ...settings.debtPolicy };
+    const announcement = settings.announcement || {};
+    settings.announcement = {
+        ...CONFIG.announcement,
+        ...announcement,
+        webhook: { ...CONFIG.announcement.webhook, ...announcement.webhook }
+    };
+    delete settings.announcement.webhook.token; // A secret, kept outside the state (see takeWebhookToken)
+    if (!settings.rosterId) settings.rosterId = deriveRosterId(state);
+    if (!state.pointers) state.pointers = {};
+    if (!state.debts) state.debts = {};
+    if (!state.ledger) state.ledger = {};
+
+    settings.roles.forEach(role => {
+        if (!role.pointer) role.pointer = role.id;
+        if (!role.count || role.count < 1) role.count = 1;
+        if (!CONFIG.rotations[role.rotation]) role.rotation = 'single';
+        if (role.forgiveAbsence === undefined) role.forgiveAbsence = false;
+        if (state.pointers[role.pointer] === undefined) state.pointers[role.pointer] = 0;
+        const live = livePointers(state);
+        if (live[role.pointer] === undefined) live[role.pointer] = 0;
+    });
+    return state;
+}
+
+// The webhook token ("Authorization: Bearer", e.g. LINE) is a secret, so it stays out of the state
+// that is exported, synced, undone and served: the browser keeps it per device, the server beside
+// the class's state. Saves from before that carry it in settings.announcement.webhook.token; this
+// removes it from `data` (before normalizeState drops it) and returns it, '' when there is none.
+function takeWebhookToken(data) {
+    const announcement = data && data.settings && data.settings.announcement;
+    const webhook = announcement && announcement.webhook;
+    if (!webhook || typeof webhook !== 'object') return '';
+    const token = webhook.token;
+    delete webhook.token;
+    return typeof token === 'string' ? token : '';
+}
+
+// Stable identifier of a roster (exported calendar UIDs are built on it). Saves from before it
+// existed get one derived from their start date and members (FNV-1a), so exporting the same
+// file twice, e.g. from the CLI, gives the same id.
+function deriveRosterId(state) {
+    const source = JSON.stringify([state.settings.startDate, state.members.map(m => [m.id, m.name])]);
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < source.length; i++) {
+        hash ^= source.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return `r${hash.toString(16).padStart(8, '0')}`;
+}
+
+function lastConfirmedKey(state) {
+    const keys = Object.keys(state.ledger).sort();
+    return keys.length > 0 ? keys[keys.length - 1] : null;
+}
+
+// Pointers the next unconfirmed day starts from
+function livePointers(state) {
+    const last = lastConfirmedKey(state);
+    return last ? state.ledger[last].pointers : state.pointers;
+}
+
+// Debts the next unconfirmed day starts from: memberId -> pointerKey -> count
+function liveDebts(state) {
+    const last = lastConfirmedKey(state);
+    return last ? state.ledger[last].debts : state.debts;
+}
+
+// Three-way merge of two edited copies of the same state (for the shared server).
+// Members, pointers, debts and the ledger move together (they index each other), the other
+// settings form a second part and each day's settings are merged on their own. A part only one
+// side changed takes that side; a part both changed differently is a conflict and keeps `theirs`.
+// Returns { state, conflicts: ['members' | 'settings' | dateKey] }.
+function mergeStates(base, mine, theirs) {
+    const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+    const conflicts = [];
+    const pick = (name, baseValue, mineValue, theirsValue) => {
+        if (same(mineValue, theirsValue) || same(mineValue, baseValue)) return theirsValue;
+        if (same(theirsValue, baseValue)) return mineValue;
+        conflicts.push(name);
+        return theirsValue;
+    };
+
+    const roster = s => ({ members: s.members, pointers: s.pointers, debts: s.debts, ledger: s.ledger });
+    const config = s => {
+        const { daySettings, ...rest } = s.settings;
+        return rest;
+    };
+    const days = s => s.settings.daySettings || {};
+
+    const merged = pick('members', roster(base), roster(mine), roster(theirs));
+    const settings = pick('settings', config(base), config(mine), config(theirs));
+    const daySettings = {};
+    new Set([...Object.keys(days(mine)), ...Object.keys(days(theirs))]).forEach(key => {
+        const value = pick(key, days(base)[key], days(mine)[key], days(theirs)[key]);
+        if (value !== undefined) daySettings[key] = value;
+    });
+
+    return {
+        state: JSON.parse(JSON.stringify({ ...merged, settings: { ...settings, daySettings } })),
+        conflicts
+    };
+}
+
+// --- Engine ---
+class RosterEngine {
+    constructor(state) {
+        this.state = state;
+        // Monthly snapshots of the running state: day index -> cursor (state BEFORE that day).
+        // Dropped wholesale when anything but daySettings changes (see syncCheckpoints),
+        // and from an edited day onwards via invalidateFrom.
+        this.checkpoints = new Map();
+        this.checkpointSignature = null;
+    }
+
+    // Local YYYY-MM-DD, the same date the school calendar and availability look at
+    get dateKey() {
+        return (date) => localDateValue(date);
+    }
+
+    // Calendar day n of the simulation (0 = startDate)
+    dateAt(index) {
+        const date = new Date(this.state.settings.startDate);
+        date.setDate(date.getDate() + index);
+        return date;
+    }
+
+    // Inverse of dateAt, for any date (time of day is ignored)
+    dayIndex(date) {
+        const start = new Date(this.state.settings.startDate);
+        start.setHours(0, 0, 0, 0);
+        const target = new Date(date);
+        target.setHours(0, 0, 0, 0);
+        return Math.round((target - start) / (1000 * 60 * 60 * 24));
+    }
+
+    // Days from startDate up to and including dateKey
+    daysThrough(dateKey) {
+        return this.dayIndex(parseLocalDate(dateKey)) + 1;
+    }
+
+    // Member-level availability in effect on a date:
+    // [{ memberId, type: 'leave' | 'weekly', role?, note }] (role is a selector, weekly only)
+    plannedAbsences(date) {
+        const value = localDateValue(date);
+        const weekday = date.getDay();
+        const result = [];
+        this.state.members.forEach(m => {
+            if (!m.active) return;
+            const leave = (m.absences || []).find(a => a.from <= value && value <= a.to);
+            if (leave) result.push({ memberId: m.id, type: 'leave', note: leave.note || '' });
+            (m.weekly || []).forEach(w => {
+                if (w.day === weekday) result.push({ memberId: m.id, type: 'weekly', role: w.role, note: w.note || '' });
+            });
+        });
+        return result;
+    }
+
+    // Simulation date for a dateKey
+    dateForKey(dateKey) {
+        return this.dateAt(this.daysThrough(dateKey) - 1);
+    }
+
+    // What the school calendar says about a date, before per-day overrides:
+    // { isHoliday, noCleaning, label } where label names the holiday or period, if any
+    calendarDay(date) {
+        const calendar = this.state.settings.calendar;
+        const value = localDateValue(date);
+        const periods = calendar.periods.filter(p => p.from <= value && value <= p.to);
+        const holidayPeriod = periods.find(p => p.type === 'holiday');
+        if (holidayPeriod) return { isHoliday: true, noCleaning: false, label: holidayPeriod.name };
+
+        const nationalHoliday = calendar.nationalHolidays ? nationalHolidayName(date) : null;
+        if (nationalHoliday) return { isHoliday: true, noCleaning: false, label: nationalHoliday };
+
+        if (!calendar.schoolDays.includes(date.getDay())) return { isHoliday: true, noCleaning: false, label: null };
+
+        const noCleaningPeriod = periods.find(p => p.type === 'noCleaning');
+        return { isHoliday: false, noCleaning: !!noCleaningPeriod, label: noCleaningPeriod ? noCleaningPeriod.name : null };
+    }
+
+    // Running state before day `index`: { index, date, pointers, debts, previousDay }
+    // `schoolDay` counts school days run so far; `debtLog` dates outstanding debt for expiry
+    // (see syncDebtLog). Both start from zero/empty when a save has none.
+    makeCursor(index, pointers, debts, previousDay, schoolDay = 0, debtLog = {}) {
+        // Deep clone so the simulation never touches the real saved state
+        const cursor = {
+            index,
+            date: this.dateAt(index),
+            pointers: { ...pointers },
+            debts: JSON.parse(JSON.stringify(debts)),
+            previousDay, // Last school day, for "yesterday" rules (read only)
+            schoolDay,
+            debtLog: JSON.parse(JSON.stringify(debtLog))
+        };
+        // Ensure all members have debt entries
+        this.state.members.forEach(m => {
+            if (!cursor.debts[m.id]) cursor.debts[m.id] = {};
+        });
+        return cursor;
+    }
+
+    cloneCursor(cursor) {
+        return this.makeCursor(cursor.index, cursor.pointers, cursor.debts, cursor.previousDay, cursor.schoolDay, cursor.debtLog);
+    }
+
+    // debtLog[memberId][pointerKey] lists the school day each unit of outstanding debt was
+    // incurred on, oldest first. Brought in line with the debts after every school day:
+    // paid-off turns drop the oldest entries, new (or hand-edited) debt is dated today.
+    syncDebtLog(cursor) {
+        const log = {};
+        Object.entries(cursor.debts).forEach(([memberId, byPointer]) => {
+            Object.entries(byPointer).forEach(([pointerKey, debt]) => {
+                if (!(debt > 0)) return;
+                const days = (cursor.debtLog[memberId]?.[pointerKey] || []).slice(-debt);
+                while (days.length < debt) days.push(cursor.schoolDay);
+                if (!log[memberId]) log[memberId] = {};
+                log[memberId][pointerKey] = days;
+            });
+        });
+        cursor.debtLog = log;
+    }
+
+    // Writes off debt left unpaid for more than `expireAfter` school days.
+    // Returns what expired: [{ memberId, pointerKey, count }]
+    expireDebts(cursor) {
+        const { expireAfter } = this.state.settings.debtPolicy;
+        if (!expireAfter) return [];
+
+        const expired = [];
+        Object.entries(cursor.debtLog).forEach(([memberId, byPointer]) => {
+            Object.entries(byPointer).forEach(([pointerKey, days]) => {
+                const kept = days.filter(day => cursor.schoolDay - day <= expireAfter);
+                const count = days.length - kept.length;
+                if (count === 0) return;
+                byPointer[pointerKey] = kept;
+                cursor.debts[memberId][pointerKey] -= count;
+                expired.push({ memberId, pointerKey, count });
+            });
+        });
+        return expired;
+    }
+
+    // A confirmed day, replayed from the ledger
+    ledgerDay(date) {
+        const key = this.dateKey(date);
+        const entry = this.state.ledger[key];
+        return {
+            date: new Date(date),
+            key,
+            isHoliday: entry ? entry.isHoliday : true,
+            noCleaning: entry ? entry.noCleaning : false,
+            label: entry ? entry.label || null : null,
+            manualAbsentees: entry ? entry.manualAbsentees || [] : [],
+            overrides: entry ? entry.overrides || {} : {},
+            plannedAbsences: entry ? entry.plannedAbsences || [] : [],
+            assignments: entry ? entry.assignments : {},
+            skips: entry ? entry.skips || [] : [],
+            expiredDebts: entry ? entry.expiredDebts || [] : [],
+            trace: entry ? entry.trace || [] : [], // Days confirmed before traces existed have none
+            locked: true
+        };
+    }
+
+    // Index of the last confirmed day, or -1
+    lastConfirmedIndex() {
+        const lastConfirmed = lastConfirmedKey(this.state);
+        return lastConfirmed ? this.daysThrough(lastConfirmed) - 1 : -1;
+    }
+
+    // Where simulation can start without replaying anything: the day after the ledger tip,
+    // or startDate with the saved pointers/debts
+    resumeCursor() {
+        const lastConfirmed = lastConfirmedKey(this.state);
+        if (!lastConfirmed) {
+            return this.makeCursor(0, this.state.pointers, this.state.debts, null);
+        }
+
+        const tipIndex = this.lastConfirmedIndex();
+        let previousDay = null;
+        for (let i = tipIndex; i >= 0 && !previousDay; i--) {
+            const day = this.ledgerDay(this.dateAt(i));
+            if (!day.isHoliday) previousDay = day;
+        }
+        const entry = this.state.ledger[lastConfirmed];
+        return this.makeCursor(tipIndex + 1, entry.pointers, entry.debts, previousDay, entry.schoolDay || 0, entry.debtLog || {});
+    }
+
+    // Everything except per-day settings: when this changes, no checkpoint can be trusted
+    configSignature() {
+        const s = this.state;
+        const { daySettings, ...config } = s.settings;
+        const lastConfirmed = lastConfirmedKey(s);
+        return JSON.stringify([s.members, s.pointers, s.debts, config, lastConfirmed, lastConfirmed && s.ledger[lastConfirmed]]);
+    }
+
+    syncCheckpoints() {
+        const signature = this.configSignature();
+        if (signature !== this.checkpointSignature) {
+            this.checkpoints.clear();
+            this.checkpointSignature = signature;
+        }
+    }
+
+    // Call after editing daySettings of dateKey: later checkpoints were computed from the old value.
+    // Without a date, drops every checkpoint.
+    invalidateFrom(dateKey = null) {
+        if (!dateKey) {
+            this.checkpoints.clear();
+            return;
+        }
+        const index = this.daysThrough(dateKey) - 1;
+        [...this.checkpoints.keys()]
+            .filter(i => i > index)
+            .forEach(i => this.checkpoints.delete(i));
+    }
+
+    // Main Simulation
+    // Full run from startDate (confirmed days come from the ledger).
+    // `onDay(dayResult, { pointers, debts })` is called after each day with the running state.
+    simulate(days = 60, onDay = null) {
+        this.syncCheckpoints();
+        const cursor = this.makeCursor(0, this.state.pointers, this.state.debts, null);
+        return this.advance(cursor, days, onDay);
+    }
+
+    // Days between two dates (inclusive), starting from the nearest checkpoint
+    // instead of startDate. Cost depends on the range, not on how far it is from startDate.
+    // `onDay` sees every simulated (unconfirmed) day, including the lead-in from the checkpoint.
+    simulateRange(fromDate, toDate, onDay = null) {
+        this.syncCheckpoints();
+        const fromIndex = Math.max(0, this.dayIndex(fromDate));
+        const toIndex = this.dayIndex(toDate);
+        if (toIndex < fromIndex) return [];
+
+        // Confirmed part straight from the ledger
+        const tipIndex = this.lastConfirmedIndex();
+        const schedule = [];
+        for (let i = fromIndex; i <= Math.min(toIndex, tipIndex); i++) {
+            schedule.push(this.ledgerDay(this.dateAt(i)));
+        }
+        if (toIndex <= tipIndex) return schedule;
+
+        // Latest checkpoint at or before the first day we need
+        const wanted = Math.max(fromIndex, tipIndex + 1);
+        let cursor = this.resumeCursor();
+        this.checkpoints.forEach((checkpoint, index) => {
+            if (index > cursor.index && index <= wanted) cursor = checkpoint;
+        });
+        cursor = this.cloneCursor(cursor);
+
+        const skipped = wanted - cursor.index;
+        return schedule.concat(this.advance(cursor, toIndex - cursor.index + 1, onDay).slice(skipped));
+    }
+
+    // Pointers and debts at the end of `date`
+    stateAfter(date) {
+        const index = this.dayIndex(date);
+        if (index < 0) {
+            return { pointers: { ...this.state.pointers }, debts: JSON.parse(JSON.stringify(this.state.debts)) };
+        }
+        if (index <= this.lastConfirmedIndex()) {
+            const entry = this.state.ledger[this.dateKey(this.dateAt(index))];
+            return { pointers: { ...entry.pointers }, debts: JSON.parse(JSON.stringify(entry.debts)) };
+        }
+
+        let result = null;
+        this.simulateRange(date, date, (day, sim) => {
+            result = { pointers: { ...sim.pointers }, debts: JSON.parse(JSON.stringify(sim.debts)) };
+        });
+        return result;
+    }
+
+    // Fairness figures for a date range: turns per member and role, deviation from an
+    // even share, outstanding debts at the end, and turn gaps far from the expected cycle.
+    statistics(fromDate, toDate) {
+        const schedule = this.simulateRange(fromDate, toDate);
+        const schoolDays = schedule.filter(d => !d.isHoliday);
+        const roles = this.state.settings.roles;
+        const activeMembers = this.state.members.filter(m => m.active);
+        // Members a tag-only exclude rule keeps off a role for good have no target count there
+        const exempt = (member, role) => this.state.settings.eligibility.some(rule =>
+            rule.type === 'exclude' && !rule.withinDays && RosterEngine.matchesRole(rule.role, role) &&
+            (member.tags || []).includes(rule.tag)
+        );
+
+        const roleStats = roles.map(role => {
+            const exemptIds = new Set(activeMembers.filter(m => exempt(m, role)).map(m => m.id));
+            const activeCount = activeMembers.length - exemptIds.size;
+            // Days the role was actually handed out ("掃除なし" days don't count)
+            const days = schoolDays.filter(d => d.assignments[role.id]);
+            const total = days.reduce((sum, d) => sum + d.assignments[role.id].length, 0);
+            // How far the pointer moves per day decides how often a turn comes round
+            const advance = role.rotation === 'window' ? 1 : role.count;
+            return {
+                id: role.id,
+                name: role.name,
+                pointer: role.pointer,
+                rotation: role.rotation,
+                days,
+                exemptIds,
+                total,
+                ideal: activeCount > 0 ? total / activeCount : 0,
+                // Days between two turns if everyone took theirs in order
+                cycle: activeCount > 0 ? activeCount / advance : null
+            };
+        });
+
+        const endState = this.stateAfter(toDate);
+
+        const members = this.state.members.map(member => {
+            const counts = {};
+            const deviation = {};
+            const gaps = [];
+
+            roleStats.forEach(role => {
+                // Positions (in days the role ran) of this member's turns
+                let turns = [];
+                role.days.forEach((d, i) => {
+                    if (d.assignments[role.id].includes(member.id)) turns.push(i);
+                });
+                counts[role.id] = turns.length;
+                const counted = member.active && !role.exemptIds.has(member.id);
+                deviation[role.id] = counted ? turns.length - role.ideal : null;
+
+                // A sliding window keeps someone on for several days in a row: that is one turn
+                if (role.rotation === 'window') {
+                    turns = turns.filter((t, i) => i === 0 || t - turns[i - 1] > 1);
+                }
+
+                if (!counted || turns.length < 2 || !role.cycle) return;
+                const intervals = turns.slice(1).map((t, i) => t - turns[i]);
+                const min = Math.min(...intervals);
+                const max = Math.max(...intervals);
+                if (max > role.cycle * 1.5) gaps.push({ roleId: role.id, flag: 'long', days: max, cycle: role.cycle });
+                if (min < role.cycle * 0.5) gaps.push({ roleId: role.id, flag: 'short', days: min, cycle: role.cycle });
+            });
+
+            return {
+                member,
+                counts,
+                deviation,
+                debts: { ...(endState?.debts[member.id] || {}) },
+                gaps
+            };
+        });
+
+        return {
+            schoolDays: schoolDays.length,
+            roles: roleStats.map(({ days, exemptIds, ...role }) => role),
+            members
+        };
+    }
+
+    // Runs `days` days from `cursor` (which is mutated), recording month-start checkpoints
+    advance(cursor, days, onDay = null) {
+        const schedule = [];
+        const tipIndex = this.lastConfirmedIndex();
+
+        for (let i = 0; i < days; i++) {
+            const currentDate = cursor.date;
+
+            // Confirmed days are replayed from the ledger, never recalculated
+            if (cursor.index <= tipIndex) {
+                const dayResult = this.ledgerDay(currentDate);
+                schedule.push(dayResult);
+                if (!dayResult.isHoliday) cursor.previousDay = dayResult;
+                if (cursor.index === tipIndex) {
+                    // Resume from the state frozen with the last confirmed day
+                    Object.assign(cursor, this.resumeCursor());
+                } else {
+                    cursor.index++;
+                    cursor.date = this.dateAt(cursor.index);
+                }
+                if (onDay) onDay(dayResult, cursor);
+                continue;
+            }
+
+            if (currentDate.getDate() === 1 && !this.checkpoints.has(cursor.index)) {
+                this.checkpoints.set(cursor.index, this.cloneCursor(cursor));
+            }
+
+            const dKey = this.dateKey(currentDate);
+            const daySettings = this.state.settings.daySettings[dKey] || {};
+
+            // Per-day toggles win over the school calendar
+            const calendarDay = this.calendarDay(currentDate);
+            const isHoliday = daySettings.isHoliday ?? calendarDay.isHoliday;
+            const noCleaning = daySettings.noCleaning ?? calendarDay.noCleaning;
+
+            const dayResult = {
+                date: new Date(currentDate),
+                key: dKey,
+                isHoliday,
+                noCleaning,
+                label: isHoliday === calendarDay.isHoliday ? calendarDay.label : null, // Holiday or period name
+                manualAbsentees: daySettings.absentees || [], // Member IDs marked absent MANUALLY for this day
+                overrides: daySettings.overrides || {}, // roleId -> [memberId] forced by hand (交代)
+                plannedAbsences: isHoliday ? [] : this.plannedAbsences(currentDate), // From member availability
+                assignments: {}, // roleId -> [memberId]
+                skips: [], // { roleId, memberId, reason: 'absent' | 'leave' | 'weekly' | 'same-role' | 'rule' | 'ineligible' | 'credit', ruleId? }
+                expiredDebts: [], // { memberId, pointerKey, count } written off this morning (debtPolicy.expireAfter)
+                trace: [] // How each role was filled, see assignRolesForDay
+            };
+
+            if (!isHoliday) {
+                // Determine available members for this day: active members minus manual absentees
+                // and members on leave. Weekly exclusions are per role (see assignRolesForDay).
+                const onLeave = dayResult.plannedAbsences.filter(p => p.type === 'leave').map(p => p.memberId);
+                const availableMembers = this.state.members.filter(m =>
+                    m.active && !dayResult.manualAbsentees.includes(m.id) && !onLeave.includes(m.id)
+                );
+
+                cursor.schoolDay++;
+                dayResult.expiredDebts = this.expireDebts(cursor);
+                this.assignRolesForDay(dayResult, availableMembers, cursor.pointers, cursor.debts, cursor.previousDay);
+                this.syncDebtLog(cursor);
+                cursor.previousDay = dayResult;
+            }
+
+            schedule.push(dayResult);
+            if (onDay) onDay(dayResult, cursor);
+            cursor.index++;
+            currentDate.setDate(currentDate.getDate() + 1);
+        }
+
+        return schedule;
+    }
+
+    // Freeze every unconfirmed day up to and including dateKey into the ledger
+    confirmThrough(dateKey) {
+        const lastConfirmed = lastConfirmedKey(this.state);
+
+        this.simulate(this.daysThrough(dateKey), (day, sim) => {
+            if (day.locked || day.key > dateKey) return;
+            if (lastConfirmed && day.key <= lastConfirmed) return;
+
+            this.state.ledger[day.key] = {
+                isHoliday: day.isHoliday,
+                noCleaning: day.noCleaning,
+                label: day.label,
+                manualAbsentees: [...day.manualAbsentees],
+                overrides: JSON.parse(JSON.stringify(day.overrides)),
+                plannedAbsences: day.plannedAbsences,
+                assignments: JSON.parse(JSON.stringify(day.assignments)),
+                skips: day.skips,
+                expiredDebts: day.expiredDebts,
+                trace: day.trace,
+                pointers: { ...sim.pointers },
+                debts: JSON.parse(JSON.stringify(sim.debts)),
+                schoolDay: sim.schoolDay,
+                debtLog: JSON.parse(JSON.stringify(sim.debtLog))
+            };
+        });
+    }
+
+    // Does a rule's role selector cover this role?
+    static matchesRole(selector, role) {
+        if (!role) return false;
+        if (selector === '*') return true;
+        if (selector === 'type:clean') return role.type === 'clean';
+        return selector === role.id;
+    }
+
+    // Returns the rule that forbids member `memberId` taking `role` today, or null if allowed.
+    // `heldRoles` are the roles this person already holds today.
+    findBlockingRule(memberId, role, heldRoles, previousDay) {
+        const matches = RosterEngine.matchesRole;
+        const roleById = Object.fromEntries(this.state.settings.roles.map(r => [r.id, r]));
+
+        return this.state.settings.rules.find(rule => {
+            if (rule.type === 'exclude') {
+                return heldRoles.some(held =>
+                    (matches(rule.role, role) && matches(rule.other, held)) ||
+                    (matches(rule.other, role) && matches(rule.role, held))
+                );
+            }
+            if (rule.type === 'maxPerDay') {
+                return heldRoles.length >= rule.max;
+            }
+            if (rule.type === 'notAfter') {
+                if (!previousDay || !matches(rule.role, role)) return false;
+                return Object.entries(previousDay.assignments).some(([rId, ids]) =>
+                    ids.includes(memberId) && matches(rule.other, roleById[rId])
+                );
+            }
+            return false;
+        }) || null;
+    }
+
+    // Is `member` covered by an eligibility rule's member filter on the local date `value`?
+    static coversMember(rule, member, value) {
+        if (rule.tag && !(member.tags || []).includes(rule.tag)) return false;
+        if (rule.withinDays) {
+            if (!member.startDate) return false;
+            const end = parseLocalDate(member.startDate);
+            end.setDate(end.getDate() + rule.withinDays);
+            if (value >= localDateValue(end)) return false;
+        }
+        return true;
+    }
+
+    // Why `member` can't take `role` today at all (skip record), or null. Unlike a conflict, this
+    // is not a turn they missed, so it never creates debt:
+    // - 'not-started': before the member's startDate (not in the class yet)
+    // - 'ineligible': an eligibility rule (ruleId) excludes them, or they would be paired with
+    //   someone the same notTogether rule covers
+    findIneligibility(member, role, dayResult) {
+        const value = localDateValue(dayResult.date);
+        if (member.startDate && value < member.startDate) {
+            return { roleId: role.id, memberId: member.id, reason: 'not-started' };
+        }
+        const covers = RosterEngine.coversMember;
+        const partners = (dayResult.assignments[role.id] || []).map(id => this.state.members.find(m => m.id === id));
+        const rule = this.state.settings.eligibility.find(rule => {
+            if (!RosterEngine.matchesRole(rule.role, role) || !covers(rule, member, value)) return false;
+            if (rule.type === 'exclude') return true;
+            if (rule.type === 'notTogether') return partners.some(p => covers(rule, p, value));
+            return false;
+        });
+        return rule ? { roleId: role.id, memberId: member.id, reason: 'ineligible', ruleId: rule.id } : null;
+    }
+
+    assignRolesForDay(dayResult, availableMembers, pointers, debts, previousDay = null) {
+        const roles = this.state.settings.roles;
+        const roleById = Object.fromEntries(roles.map(r => [r.id, r]));
+        const policy = this.state.settings.debtPolicy;
+        const rosterOrder = new Map(this.state.members.map((m, i) => [m.id, i]));
+
+        // Helper: Add Debt
+        // One turn owed on `pointerKey`, unless the debt policy waives it for this skip `reason`
+        // (null for a manual override). Returns { debt: [before, after], waived? }, where waived
+        // is 'forgiven' (role forgives absences), 'conflict' (conflictDebt off) or 'max' (maxDebt reached).
+        // maxDebt counts what the member owes on all pointers; a credit on one makes no room on another.
+        const addDebt = (memberId, pointerKey, role, reason) => {
+            if (!debts[memberId]) debts[memberId] = {};
+            const debt = debts[memberId][pointerKey] || 0;
+            const owed = Object.values(debts[memberId]).reduce((sum, d) => sum + Math.max(d, 0), 0);
+            let waived = null;
+            if (role.forgiveAbsence && ['absent', 'leave', 'weekly'].includes(reason)) waived = 'forgiven';
+            else if (!policy.conflictDebt && ['same-role', 'rule'].includes(reason)) waived = 'conflict';
+            else if (policy.maxDebt !== null && owed >= policy.maxDebt) waived = 'max';
+            if (waived) return { debt: [debt, debt], waived };
+            debts[memberId][pointerKey] = debt + 1;
+            return { debt: [debt, debt + 1] };
+        };
+
+        // Helper: Check Concurrency
+        // Returns null when allowed, otherwise the skip record explaining why not.
+        const checkAssign = (member, role) => {
+            const ineligible = this.findIneligibility(member, role, dayResult);
+            if (ineligible) return ineligible;
+
+            // Recurring weekly exclusion (e.g. leaves early on Wednesdays)
+            const excluded = dayResult.plannedAbsences.some(p =>
+                p.type === 'weekly' && p.memberId === member.id && RosterEngine.matchesRole(p.role, role)
+            );
+            if (excluded) {
+                return { roleId: role.id, memberId: member.id, reason: 'weekly' };
+            }
+
+            // Get roles already assigned to this person today
+            const heldRoles = Object.entries(dayResult.assignments)
+                .filter(([rId, ids]) => ids.includes(member.id))
+                .map(([rId]) => roleById[rId]);
+
+            // Same role twice (two slots of a multi-person role) is never allowed
+            if (heldRoles.some(r => r.id === role.id)) {
+                return { roleId: role.id, memberId: member.id, reason: 'same-role' };
+            }
+
+            const rule = this.findBlockingRule(member.id, role, heldRoles, previousDay);
+            if (rule) {
+                return { roleId: role.id, memberId: member.id, reason: 'rule', ruleId: rule.id };
+            }
+            return null;
+        };
+
+        // Helper: Find Candidate
+        // Every candidate looked at is appended to `steps` (see the trace format below).
+        const findCandidate = (role, pointerKey, steps) => {
+            // Strategy:
+            // 1. Check Debts (High priority)
+            // 2. Check Pointer (Normal rotation)
+
+            // 1. Debt Check
+            // We need a deterministic order for debts -> usually name or ID order
+            const debtCandidates = availableMembers.filter(m => (debts[m.id]?.[pointerKey] || 0) > 0);
+
+            // Sort debt candidates by amount of debt desc, then 出席番号. Members without a number
+            // (hand-written files) come after those with one, in roster order.
+            debtCandidates.sort((a, b) => {
+                const da = debts[a.id][pointerKey];
+                const db = debts[b.id][pointerKey];
+                if (da !== db) return db - da;
+                const hasA = Number.isFinite(a.studentNumber);
+                const hasB = Number.isFinite(b.studentNumber);
+                if (hasA && hasB && a.studentNumber !== b.studentNumber) return a.studentNumber - b.studentNumber;
+                if (hasA !== hasB) return hasA ? -1 : 1;
+                return rosterOrder.get(a.id) - rosterOrder.get(b.id);
+            });
+
+            for (const m of debtCandidates) {
+                const debt = debts[m.id][pointerKey];
+                const blocked = checkAssign(m, role);
+                if (blocked) {
+                    // Debt stays; they will be tried again on the next slot or day
+                    dayResult.skips.push(blocked);
+                    steps.push({ source: 'debt', memberId: m.id, result: 'skipped', reason: blocked.reason, ruleId: blocked.ruleId, debt: [debt, debt] });
+                    continue;
+                }
+                // Assign from debt
+                debts[m.id][pointerKey]--;
+                steps.push({ source: 'debt', memberId: m.id, result: 'picked', debt: [debt, debt - 1] });
+                return m;
+            }
+
+            // 2. Pointer Check
+            // We iterate through list starting from pointer
+            // "If turn comes but absent -> Add Debt, Move Pointer, Try Next."
+            // Pointer is index in `this.state.members` (sorted by ID).
+
+            let attempts = 0;
+            const totalMembers = this.state.members.length;
+
+            // We loop until we find someone or exhaust list
+            while (attempts < totalMembers) {
+                const pIdx = (pointers[pointerKey] || 0) % totalMembers;
+                const candidate = this.state.members[pIdx];
+
+                // If candidate is NOT ACTIVE (left school etc), just skip pointer
+                if (!candidate.active) {
+                    steps.push({ source: 'rotation', index: pIdx, memberId: candidate.id, result: 'skipped', reason: 'inactive' });
+                    pointers[pointerKey] = (pointers[pointerKey] || 0) + 1;
+                    attempts++;
+                    continue;
+                }
+
+                // Not in the class yet, or not eligible for this role: passed over without debt,
+                // before checking absence (an ineligible absentee hasn't missed a turn either)
+                const ineligible = this.findIneligibility(candidate, role, dayResult);
+                if (ineligible) {
+                    if (ineligible.reason === 'ineligible') dayResult.skips.push(ineligible);
+                    steps.push({ source: 'rotation', index: pIdx, memberId: candidate.id, result: 'skipped', reason: ineligible.reason, ruleId: ineligible.ruleId });
+                    pointers[pointerKey] = (pointers[pointerKey] || 0) + 1;
+                    attempts++;
+                    continue;
+                }
+
+                // If candidate is ACTIVE but ABSENT (not available) or BUSY (conflict) today:
+                // Add Debt (as the debt policy allows), Advance Pointer
+                const onLeave = dayResult.plannedAbsences.some(p => p.type === 'leave' && p.memberId === candidate.id);
+                const blocked = !availableMembers.find(m => m.id === candidate.id)
+                    ? { roleId: role.id, memberId: candidate.id, reason: onLeave ? 'leave' : 'absent' }
+                    : checkAssign(candidate, role);
+                if (blocked) {
+                    dayResult.skips.push(blocked);
+                    const { debt, waived } = addDebt(candidate.id, pointerKey, role, blocked.reason);
+                    steps.push({ source: 'rotation', index: pIdx, memberId: candidate.id, result: 'skipped', reason: blocked.reason, ruleId: blocked.ruleId, debt, waived });
+
+                    pointers[pointerKey] = (pointers[pointerKey] || 0) + 1;
+                    attempts++;
+                    continue;
+                }
+
+                // Served this turn ahead of time (manual override): the credit covers it
+                const credit = debts[candidate.id]?.[pointerKey] || 0;
+                if (credit < 0) {
+                    debts[candidate.id][pointerKey] = credit + 1;
+                    dayResult.skips.push({ roleId: role.id, memberId: candidate.id, reason: 'credit' });
+                    steps.push({ source: 'rotation', index: pIdx, memberId: candidate.id, result: 'skipped', reason: 'credit', debt: [credit, credit + 1] });
+                    pointers[pointerKey] = (pointers[pointerKey] || 0) + 1;
+                    attempts++;
+                    continue;
+                }
+
+                // Found Valid Candidate
+                steps.push({ source: 'rotation', index: pIdx, memberId: candidate.id, result: 'picked' });
+                pointers[pointerKey] = (pointers[pointerKey] || 0) + 1;
+                return candidate;
+            }
+            return null; // No one available
+        };
+
+        // ASSIGNMENT SEQUENCE
+        // Roles are assigned in their configured order; each role fills `count` slots
+        // from its pointer (several roles may share one pointer).
+        //
+        // Trace, one entry per role: { roleId, pointerKey, pointerStart, pointerEnd, slots: [{ memberId, steps }], override }
+        // where each step is a candidate looked at, in order:
+        //   { source: 'debt' | 'rotation', index? (rotation: member list position), memberId,
+        //     result: 'picked' | 'skipped', reason?, ruleId?, debt?: [before, after], waived? }
+        // reason is a skip reason, or 'inactive' / 'not-started' for members passed over without debt;
+        // waived says why a rotation skip added no debt (see addDebt).
+        // override is null, or the settlement of a manual override: [{ memberId, result: 'forced' | 'displaced', debt, waived? }]
+        roles.forEach(role => {
+            // "掃除なし" days skip cleaning roles entirely, pointer included
+            if (role.type === 'clean' && dayResult.noCleaning) return;
+
+            const pointerKey = role.pointer;
+            const startPtr = pointers[pointerKey] || 0;
+            const ids = [];
+            dayResult.assignments[role.id] = ids;
+            const trace = { roleId: role.id, pointerKey, pointerStart: startPtr, pointerEnd: null, slots: [], override: null };
+            dayResult.trace.push(trace);
+
+            for (let slot = 0; slot < role.count; slot++) {
+                const steps = [];
+                const member = findCandidate(role, pointerKey, steps);
+                trace.slots.push({ memberId: member ? member.id : null, steps });
+                if (!member) break;
+                ids.push(member.id);
+            }
+
+            // Manual override (交代): the forced members take the role instead of the natural pick,
+            // which still ran so pointers move exactly as without the override. Settled as a borrowed
+            // turn: whoever was displaced owes the turn (debt +1, within maxDebt); whoever stepped in served ahead
+            // (debt -1, a credit used up when the rotation next reaches them).
+            const forced = (dayResult.overrides[role.id] || []).filter(id => this.state.members.some(m => m.id === id));
+            if (forced.length > 0) {
+                const natural = [...ids];
+                trace.override = [];
+                natural.filter(id => !forced.includes(id)).forEach(memberId => {
+                    const { debt, waived } = addDebt(memberId, pointerKey, role, null);
+                    trace.override.push({ memberId, result: 'displaced', debt, waived });
+                });
+                forced.filter(id => !natural.includes(id)).forEach(memberId => {
+                    if (!debts[memberId]) debts[memberId] = {};
+                    const debt = debts[memberId][pointerKey] || 0;
+                    debts[memberId][pointerKey] = debt - 1;
+                    trace.override.push({ memberId, result: 'forced', debt: [debt, debt - 1] });
+                });
+                ids.splice(0, ids.length, ...forced);
+            }
+
+            // Rotation style decides where TOMORROW starts, regardless of skips today:
+            // - single: wherever the search stopped (plain rotation)
+            // - window: startPtr + 1, giving overlapping teams (1,2) -> (2,3) -> (3,4)
+            // - group:  startPtr + count, giving fixed teams (1,2) -> (3,4) -> (5,6)
+            // Anyone skipped during the search already holds debt, so they are not lost.
+            if (role.rotation === 'window') {
+                pointers[pointerKey] = startPtr + 1;
+            } else if (role.rotation === 'group') {
+                pointers[pointerKey] = startPtr + role.count;
+            }
+            trace.pointerEnd = pointers[pointerKey];
+        });
+    }
+}
+
+// Node: require('./engine.js'), or import from './engine.mjs'
+if (typeof module === 'object' && module.exports) {
+    module.exports = {
+        CONFIG,
+        SCHEMA_VERSION,
+        parseLocalDate,
+        localDateValue,
+        generateMemberId,
+        migrateState,
+        validateStateData,
+        normalizeState,
+        takeWebhookToken,
+        lastConfirmedKey,
+        livePointers,
+        liveDebts,
+        mergeStates,
+        RosterEngine
+    };
+}
@@ -0,0 +1,27 @@
+/**
+ * Cleaning Roster Engine (ES module entry point)
+ * The implementation is engine.js, which the browser loads as a classic script.
+ *
+ *   import { RosterEngine, migrateState, normalizeState } from './engine.mjs';
+ *   const engine = new RosterEngine(normalizeState(migrateState(JSON.parse(json))));
+ */
+import engine from './engine.js';
+
+export const {
+    CONFIG,
+    SCHEMA_VERSION,
+    parseLocalDate,
+    localDateValue,
+    generateMemberId,
+    migrateState,
+    validateStateData,
+    normalizeState,
+    takeWebhookToken,
+    lastConfirmedKey,
+    livePointers,
+    liveDebts,
+    mergeStates,
+    RosterEngine
+} = engine;
+
+export default engine;
@@ -0,0 +1,114 @@
+/**
+ * Japanese National Holidays
+ * Rule-based, offline calculation (祝日法, 2007年以降の規定)
+ */
+
+// Fixed-date holidays: "M-D" -> name
+const FIXED_HOLIDAYS = {
+    '1-1': '元日',
+    '2-11': '建国記念の日',
+    '4-29': '昭和の日',
+    '5-3': '憲法記念日',
+    '5-4': 'みどりの日',
+    '5-5': 'こどもの日',
+    '11-3': '文化の日',
+    '11-23': '勤労感謝の日'
+};
+
+// One-off dates set by special laws (Olympic moves, imperial ceremonies)
+const SPECIAL_HOLIDAYS = {
+    '2019-5-1': '天皇の即位の日',
+    '2019-10-22': '即位礼正殿の儀の行われる日',
+    '2020-7-23': '海の日',
+    '2020-7-24': 'スポーツの日',
+    '2020-8-10': '山の日',
+    '2021-7-22': '海の日',
+    '2021-7-23': 'スポーツの日',
+    '2021-8-8': '山の日'
+};
+
+// Holidays the special laws moved away from their usual date
+const MOVED_HOLIDAYS = {
+    2020: ['海の日', 'スポーツの日', '山の日'],
+    2021: ['海の日', 'スポーツの日', '山の日']
+};
+
+// Day of month of the nth Monday
+function nthMonday(year, month, n) {
+    const firstDay = new Date(year, month - 1, 1).getDay();
+    const firstMonday = 1 + ((8 - firstDay) % 7);
+    return firstMonday + (n - 1) * 7;
+}
+
+// Astronomical approximation, valid 1980-2099
+function vernalEquinoxDay(year) {
+    return Math.floor(20.8431 + 0.242194 * (year - 1980) - Math.floor((year - 1980) / 4));
+}
+
+function autumnalEquinoxDay(year) {
+    return Math.floor(23.2488 + 0.242194 * (year - 1980) - Math.floor((year - 1980) / 4));
+}
+
+// Holidays defined directly by the law (no substitute / citizens' holidays yet)
+function baseHolidayName(year, month, day) {
+    const special = SPECIAL_HOLIDAYS[`${year}-${month}-${day}`];
+    if (special) return special;
+
+    const moved = MOVED_HOLIDAYS[year] || [];
+    const unlessMoved = name => (moved.includes(name) ? null : name);
+
+    const fixed = FIXED_HOLIDAYS[`${month}-${day}`];
+    if (fixed) return fixed;
+
+    if (month === 2 && day === 23 && year >= 2020) return '天皇誕生日';
+    if (month === 12 && day === 23 && year <= 2018) return '天皇誕生日';
+    if (month === 8 && day === 11 && year >= 2016) return unlessMoved('山の日');
+
+    if (month === 1 && day === nthMonday(year, 1, 2)) return '成人の日';
+    if (month === 7 && day === nthMonday(year, 7, 3)) return unlessMoved('海の日');
+    if (month === 9 && day === nthMonday(year, 9, 3)) return '敬老の日';
+    if (month === 10 && day === nthMonday(year, 10, 2)) return unlessMoved(year >= 2020 ? 'スポーツの日' : '体育の日');
+
+    if (month === 3 && day === vernalEquinoxDay(year)) return '春分の日';
+    if (month === 9 && day === autumnalEquinoxDay(year)) return '秋分の日';
+
+    return null;
+}
+
+function baseHolidayOf(date) {
+    return baseHolidayName(date.getFullYear(), date.getMonth() + 1, date.getDate());
+}
+
+function shiftDays(date, delta) {
+    const d = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    d.setDate(d.getDate() + delta);
+    return d;
+}
+
+/**
+ * Name of the national holiday on `date` (local calendar day), or null.
+ * Includes 振替休日 and 国民の休日.
+ */
+function japaneseHolidayName(date) {
+    const base = baseHolidayOf(date);
+    if (base) return base;
+
+    // 振替休日: the first non-holiday after a holiday falling on Sunday
+    for (let back = 1; ; back++) {
+        const prev = shiftDays(date, -back);
+        if (!baseHolidayOf(prev)) break;
+        if (prev.getDay() === 0) return '振替休日';
+    }
+
+    // 国民の休日: an ordinary day sandwiched between two holidays
+    if (date.getDay() !== 0 && baseHolidayOf(shiftDays(date, -1)) && baseHolidayOf(shiftDays(date, 1))) {
+        return '国民の休日';
+    }
+
+    return null;
+}
+
+// Node: require('./holidays.js')
+if (typeof module === 'object' && module.exports) {
+    module.exports = { japaneseHolidayName };
+}
@@ -0,0 +1,160 @@
+/**
+ * Schedule Export
+ * Computed schedules (RosterEngine#simulateRange output) as CSV, iCalendar and plain JSON, for
+ * students and staff. Shared by the web UI (classic script), the CLI and the server.
+ */
+
+const EXPORT_WEEKDAYS = ['日', '月', '火', '水', '木', '金', '土'];
+
+function exportMemberName(state, id) {
+    const member = state.members.find(m => m.id === id);
+    return member ? member.name : id;
+}
+
+// Days worth exporting: weekdays without school (weekends) are left out, other holidays stay
+function exportableDays(state, schedule) {
+    const schoolDays = state.settings.calendar.schoolDays;
+    return schedule.filter(day => !day.isHoliday || schoolDays.includes(day.date.getDay()));
+}
+
+/**
+ * One row per day and role: { date, weekday, roleId, roleName, memberIds, note }.
+ * note is '休み…' on holidays, '掃除なし…' for cleaning roles on no-cleaning days,
+ * '交代' for hand-made swaps. With `memberId`, only that member's duties.
+ */
+function scheduleRows(state, schedule, { memberId = null } = {}) {
+    const rows = [];
+    exportableDays(state, schedule).forEach(day => {
+        state.settings.roles.forEach(role => {
+            const memberIds = day.assignments[role.id] || [];
+            let note = '';
+            if (day.isHoliday) note = `休み${day.label ? `: ${day.label}` : ''}`;
+            else if (role.type === 'clean' && day.noCleaning) note = `掃除なし${day.label ? `: ${day.label}` : ''}`;
+            else if (day.overrides && day.overrides[role.id]) note = '交代';
+
+            if (memberId && !memberIds.includes(memberId)) return;
+            rows.push({ date: day.key, weekday: EXPORT_WEEKDAYS[day.date.getDay()], roleId: role.id, roleName: role.name, memberIds, note });
+        });
+    });
+    return rows;
+}
+
+function scheduleToCsv(state, schedule, options = {}) {
+    const escape = value => (/[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+    const lines = [['日付', '曜日', '役割', '担当', '備考']].concat(scheduleRows(state, schedule, options).map(row => [
+        row.date,
+        row.weekday,
+        row.roleName,
+        row.memberIds.map(id => exportMemberName(state, id)).join('・'),
+        row.note
+    ]));
+    return lines.map(cols => cols.map(escape).join(',')).join('\r\n') + '\r\n';
+}
+
+// Absentees of a day with their reason: manual, leave (absence range) or weekly (role exclusion)
+function scheduleAbsentees(day) {
+    return day.manualAbsentees.map(id => ({ id, reason: 'manual' }))
+        .concat((day.plannedAbsences || []).map(p => ({ id: p.memberId, reason: p.type, role: p.role })));
+}
+
+// Plain JSON-ready days, with member names resolved (CLI --format json, server /schedule)
+function scheduleDays(state, schedule) {
+    return schedule.map(day => ({
+        date: day.key,
+        weekday: EXPORT_WEEKDAYS[day.date.getDay()],
+        holiday: day.isHoliday,
+        label: day.label || null,
+        noCleaning: day.noCleaning,
+        locked: !!day.locked,
+        assignments: Object.fromEntries(Object.entries(day.assignments).map(([roleId, ids]) =>
+            [roleId, ids.map(id => ({ id, name: exportMemberName(state, id) }))]
+        )),
+        absentees: scheduleAbsentees(day).map(a => ({ ...a, name: exportMemberName(state, a.id) })),
+        skips: day.skips,
+        trace: day.trace
+    }));
+}
+
+// --- iCalendar (RFC 5545) ---
+
+function icsText(value) {
+    return value.replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+// Content lines are folded at 75 octets (UTF-8), continuation lines start with a space
+function icsFold(line) {
+    const parts = [];
+    let current = '';
+    let size = 0;
+    for (const ch of line) {
+        const code = ch.codePointAt(0);
+        const bytes = code < 0x80 ? 1 : code < 0x800 ? 2 : code < 0x10000 ? 3 : 4;
+        if (size + bytes > (parts.length === 0 ? 75 : 74)) {
+            parts.push(current);
+            current = '';
+            size = 0;
+        }
+        current += ch;
+        size += bytes;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+}
+
+function icsDate(dateKey) {
+    return dateKey.replace(/-/g, '');
+}
+
+function icsNextDate(dateKey) {
+    const [y, m, d] = dateKey.split('-').map(Number);
+    const next = new Date(Date.UTC(y, m - 1, d + 1));
+    return next.toISOString().slice(0, 10).replace(/-/g, '');
+}
+
+/**
+ * All-day events, one per duty. For the whole class: one event per day and role ("日直: 山田");
+ * with `memberId`: that member's duties only ("日直").
+ * UIDs depend only on the roster, date, role (and member), never on who is assigned, so
+ * importing a newer export updates the existing events instead of adding duplicates.
+ * `now` is the DTSTAMP (defaults to the current time).
+ */
+function scheduleToIcs(state, schedule, { memberId = null, calendarName = '当番表', now = new Date() } = {}) {
+    const stamp = now.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    const rosterId = state.settings.rosterId;
+    const events = scheduleRows(state, schedule, { memberId })
+        .filter(row => row.memberIds.length > 0)
+        .map(row => {
+            const names = row.memberIds.map(id => exportMemberName(state, id)).join('・');
+            const uid = memberId
+                ? `${row.date}-${row.roleId}-${memberId}@${rosterId}.roster`
+                : `${row.date}-${row.roleId}@${rosterId}.roster`;
+            return [
+                'BEGIN:VEVENT',
+                `UID:${uid}`,
+                `DTSTAMP:${stamp}`,
+                `DTSTART;VALUE=DATE:${icsDate(row.date)}`,
+                `DTEND;VALUE=DATE:${icsNextDate(row.date)}`,
+                `SUMMARY:${icsText(memberId ? row.roleName : `${row.roleName}: ${names}`)}`,
+                memberId ? `DESCRIPTION:${icsText(`${row.roleName}: ${names}${row.note ? ` (${row.note})` : ''}`)}` : null,
+                'TRANSP:TRANSPARENT',
+                'END:VEVENT'
+            ].filter(Boolean);
+        });
+
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//cleaning-roster//Cleaning Roster V3//JA',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${icsText(calendarName)}`,
+        ...events.flat(),
+        'END:VCALENDAR'
+    ];
+    return lines.map(icsFold).join('\r\n') + '\r\n';
+}
+
+// Node: require('./schedule-export.js')
+if (typeof module === 'object' && module.exports) {
+    module.exports = { scheduleRows, scheduleToCsv, scheduleToIcs, scheduleAbsentees, scheduleDays };
+}
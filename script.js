@@ -1,23 +1,80 @@
 /**
  * Cleaning Roster Logic V3
  * Stream & Debt Model
+ *
+ * Browser state (localStorage, undo) and UI. The scheduling engine itself is in engine.js.
  */
 
 // --- Constants & Config ---
-const CONFIG = {
-    roles: [
-        { id: 'nichoku', name: '日直', type: 'single', style: 'text-yellow-300' },
-        { id: 'speech', name: 'スピーチ', type: 'single', style: 'text-green-300' },
-        { id: 'comment', name: 'コメント', type: 'single', style: 'text-green-200' },
-        { id: 'clean_a', name: '掃除A', type: 'clean', style: 'text-blue-300' },
-        { id: 'clean_b', name: '掃除B', type: 'clean', style: 'text-blue-200' }
-    ]
-};
+// Undo/redo steps kept (and persisted) per direction
+const HISTORY_LIMIT = 50;
+
+// --- Workspaces ---
+// One workspace per class. Each keeps its own state and undo history in localStorage under
+// keys suffixed with its id; the index { current, list: [{ id, name }] } lives under WORKSPACES_KEY.
+const WORKSPACES_KEY = 'roster_v3_workspaces';
+
+function workspaceStorageKeys(id) {
+    return {
+        state: `roster_v3_state:${id}`,
+        history: `roster_v3_history:${id}`,
+        sync: `roster_v3_sync:${id}`,
+        announce: `roster_v3_announce:${id}`,
+        webhookToken: `roster_v3_webhook_token:${id}`
+    };
+}
+
+// Next free workspace id ("ws1", "ws2", ...)
+function generateWorkspaceId(list) {
+    const max = list.reduce((n, ws) => Math.max(n, parseInt(ws.id.replace(/^ws/, '')) || 0), 0);
+    return `ws${max + 1}`;
+}
+
+// The workspace index. Installs from before workspaces had a single state under
+// roster_v3_state: it becomes the first workspace.
+function loadWorkspaces() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(WORKSPACES_KEY));
+        if (saved && Array.isArray(saved.list) && saved.list.length > 0) {
+            if (!saved.list.some(ws => ws.id === saved.current)) saved.current = saved.list[0].id;
+            return saved;
+        }
+    } catch (e) {
+        console.error("Failed to load workspaces", e);
+    }
+
+    const index = { current: 'ws1', list: [{ id: 'ws1', name: 'クラス1' }] };
+    const keys = workspaceStorageKeys('ws1');
+    ['state', 'history'].forEach(kind => {
+        const legacy = localStorage.getItem(`roster_v3_${kind}`);
+        if (legacy === null) return;
+        localStorage.setItem(keys[kind], legacy);
+        localStorage.removeItem(`roster_v3_${kind}`);
+    });
+    saveWorkspaces(index);
+    return index;
+}
+
+function saveWorkspaces(index) {
+    localStorage.setItem(WORKSPACES_KEY, JSON.stringify(index));
+}
+
+// Saved state of another workspace as a normalized plain object, or null if it has none yet
+function readWorkspaceState(id) {
+    const saved = localStorage.getItem(workspaceStorageKeys(id).state);
+    if (!saved) return null;
+    return normalizeState(migrateState(JSON.parse(saved)));
+}
+
+function writeWorkspaceState(id, data) {
+    localStorage.setItem(workspaceStorageKeys(id).state, JSON.stringify({ schemaVersion: SCHEMA_VERSION, ...data }));
+}
 
 // --- State Management ---
 class RosterState {
-    constructor() {
-        this.members = []; // { id: 1, name: "Name", active: true }
+    constructor(workspaceId) {
+        this.storageKeys = workspaceStorageKeys(workspaceId);
+        this.members = []; // { id: "m1", studentNumber: 1, name: "Name", active: true }
         this.pointers = {
             nichoku: 0,
             speech: 0,
@@ -25,309 +82,447 @@ class RosterState {
             clean: 0 // Shared pointer for cleaning
         };
         this.startPointers = null; // Snapshot for simulation start
-        this.debts = {}; // { MemberName: { nichoku: 0, clean: 0... } }
+        this.debts = {}; // { memberId: { nichoku: 0, clean: 0... } }
         this.settings = {
             startDate: new Date().toISOString(),
+            roles: CONFIG.roles.map(r => ({ ...r })), // Ordered: assignment runs top to bottom
+            rules: CONFIG.rules.map(r => ({ ...r })), // Same-day conflict rules
+            calendar: JSON.parse(JSON.stringify(CONFIG.calendar)), // Weekly pattern, national holidays, term periods
+            debtPolicy: { ...CONFIG.debtPolicy }, // Debt cap, expiry and whether conflicts create debt
             daySettings: {} // { "2024-01-01": { isHoliday: true, ... } }
         };
+        // Confirmed (確定) days, contiguous from startDate:
+        // { "2024-01-01": { isHoliday, noCleaning, manualAbsentees, assignments, skips, pointers, debts, schoolDay, debtLog } }
+        // pointers/debts (and the debt expiry bookkeeping) are the state AFTER that day;
+        // simulation resumes from the last entry.
+        this.ledger = {};
+        // Undo/redo stacks of { label, snapshot }, newest last. Stored under their own key.
+        this.history = { undo: [], redo: [] };
+        // Shared server connection (RemoteStore), or null while this class only lives in this browser
+        this.remote = null;
 
         this.load();
     }
 
-    load() {
-        try {
-            const saved = localStorage.getItem('roster_v3_state');
-            if (saved) {
-                const data = JSON.parse(saved);
-                this.members = data.members || [];
-                this.pointers = data.pointers || this.pointers;
-                this.debts = data.debts || {};
-                this.settings = data.settings || this.settings;
-            }
-        } catch (e) {
-            console.error("Failed to load state", e);
-        }
+    get roles() {
+        return this.settings.roles;
     }
 
-    save() {
-        const data = {
-            members: this.members,
-            pointers: this.pointers,
-            debts: this.debts,
-            settings: this.settings
-        };
-        localStorage.setItem('roster_v3_state', JSON.stringify(data));
+    get rules() {
+        return this.settings.rules;
     }
 
-    reset() {
-        localStorage.removeItem('roster_v3_state');
-        location.reload();
+    // Fill in anything older saves (or imports) don't have yet (see normalizeState in engine.js)
+    normalize() {
+        normalizeState(this);
     }
-}
 
-// --- Engine ---
-class RosterEngine {
-    constructor(state) {
-        this.state = state;
+    lastConfirmedKey() {
+        return lastConfirmedKey(this);
     }
 
-    get dateKey() {
-        return (date) => date.toISOString().split('T')[0];
+    isLocked(dateKey) {
+        const last = this.lastConfirmedKey();
+        return last !== null && dateKey <= last;
     }
 
-    // Main Simulation
-    simulate(days = 60) {
-        const schedule = [];
-        let currentDate = new Date(this.state.settings.startDate);
+    // Pointers the next unconfirmed day starts from (what the pointer UI adjusts)
+    livePointers() {
+        return livePointers(this);
+    }
 
-        // Simulation relies on temporary state clones
-        // But to keep it simple and consistent with "Debt", we need to carry over debts day by day.
-        // We will CLONE the current logic state to run the simulation without affecting real saved state.
+    // Debts the next unconfirmed day starts from (what the debt editor changes)
+    liveDebts() {
+        return liveDebts(this);
+    }
 
-        // Deep clone state for simulation
-        let simPointers = { ...this.state.pointers };
-        let simDebts = JSON.parse(JSON.stringify(this.state.debts));
-        // Ensure all members have debt entries
-        this.state.members.forEach(m => {
-            if (!simDebts[m.name]) simDebts[m.name] = {};
-        });
+    // Drop confirmation for dateKey and every day after it
+    unlockFrom(dateKey) {
+        Object.keys(this.ledger)
+            .filter(key => key >= dateKey)
+            .forEach(key => delete this.ledger[key]);
+    }
 
-        for (let i = 0; i < days; i++) {
-            const dKey = this.dateKey(currentDate);
-            const daySettings = this.state.settings.daySettings[dKey] || {};
+    memberById(id) {
+        return this.members.find(m => m.id === id);
+    }
+
+    // Display name for a member ID (history may hold names of people no longer listed)
+    memberName(id) {
+        const member = this.memberById(id);
+        return member ? member.name : id;
+    }
+
+    // Pointer keys in use, in role order (shared pointers appear once)
+    pointerKeys() {
+        return [...new Set(this.roles.map(r => r.pointer))];
+    }
 
-            // Check global holiday defaults (Sat/Sun)
-            let isHoliday = daySettings.isHoliday;
-            if (isHoliday === undefined) {
-                const day = currentDate.getDay();
-                isHoliday = (day === 0 || day === 6);
+    // Replace the member list (add / remove / reorder), keeping every pointer on the same person.
+    // A pointer resting on a removed member moves on to the next remaining member in the old order.
+    // Confirmed days keep their pointers in sync too, so unlocking later still resumes correctly.
+    setMembers(newMembers) {
+        const oldMembers = this.members;
+        const newIndex = new Map(newMembers.map((m, i) => [m.id, i]));
+        const remap = value => {
+            for (let k = 0; k < oldMembers.length; k++) {
+                const id = oldMembers[(value + k) % oldMembers.length].id;
+                if (newIndex.has(id)) return newIndex.get(id);
             }
+            return 0;
+        };
+        const remapAll = pointers => Object.keys(pointers).forEach(key => {
+            pointers[key] = remap(pointers[key] || 0);
+        });
+        if (oldMembers.length > 0) {
+            remapAll(this.pointers);
+            Object.values(this.ledger).forEach(entry => remapAll(entry.pointers));
+        }
 
-            const dayResult = {
-                date: new Date(currentDate),
-                key: dKey,
-                isHoliday,
-                noCleaning: daySettings.noCleaning || false,
-                manualAbsentees: daySettings.absentees || [], // Names of people marked absent MANUALLY for this day
-                assignments: {}
-            };
-
-            if (!isHoliday) {
-                // Determine available members for this day
-                // (In a real app, you might have specific day-availability, here we assume active members - manual absentees)
-                const availableMembers = this.state.members.filter(m =>
-                    m.active && !dayResult.manualAbsentees.includes(m.name)
-                );
-
-                this.assignRolesForDay(dayResult, availableMembers, simPointers, simDebts);
+        // Removed members: drop current debts and future absences (confirmed history stays as it was)
+        oldMembers.filter(m => !newIndex.has(m.id)).forEach(m => {
+            delete this.debts[m.id];
+            Object.values(this.settings.daySettings).forEach(ds => {
+                if (ds.absentees) ds.absentees = ds.absentees.filter(id => id !== m.id);
+                Object.keys(ds.overrides || {}).forEach(roleId => {
+                    ds.overrides[roleId] = ds.overrides[roleId].filter(id => id !== m.id);
+                    if (ds.overrides[roleId].length === 0) delete ds.overrides[roleId];
+                });
+            });
+        });
+
+        this.members = newMembers;
+    }
+
+    load() {
+        try {
+            const saved = localStorage.getItem(this.storageKeys.state);
+            if (saved) {
+                const parsed = JSON.parse(saved);
+                // Saves from before the token was kept apart: it moves to this device's own key
+                const token = takeWebhookToken(parsed);
+                if (token) localStorage.setItem(this.storageKeys.webhookToken, token);
+                const outdated = (parsed.schemaVersion || 1) < SCHEMA_VERSION || token !== '';
+                const data = migrateState(parsed);
+                this.members = data.members || [];
+                this.pointers = data.pointers || this.pointers;
+                this.debts = data.debts || {};
+                this.settings = data.settings || this.settings;
+                this.ledger = data.ledger || {};
+                this.normalize();
+                this.loadHistory();
+                if (outdated) this.save(); // Store the upgraded format right away
+                return;
             }
+        } catch (e) {
+            console.error("Failed to load state", e);
+        }
+        this.normalize();
+    }
 
-            schedule.push(dayResult);
-            currentDate.setDate(currentDate.getDate() + 1);
+    loadHistory() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKeys.history));
+            // Snapshots from another schema can't be restored safely
+            if (saved && saved.schemaVersion === SCHEMA_VERSION) {
+                this.history = { undo: saved.undo || [], redo: saved.redo || [] };
+            }
+        } catch (e) {
+            console.error("Failed to load history", e);
         }
+    }
 
-        return schedule;
+    saveHistory() {
+        const data = { schemaVersion: SCHEMA_VERSION, ...this.history };
+        // Drop the oldest steps until it fits in storage
+        while (true) {
+            try {
+                localStorage.setItem(this.storageKeys.history, JSON.stringify(data));
+                return;
+            } catch (e) {
+                if (data.undo.length === 0 && data.redo.length === 0) return;
+                if (data.undo.length >= data.redo.length) data.undo.shift();
+                else data.redo.shift();
+            }
+        }
     }
 
-    assignRolesForDay(dayResult, availableMembers, pointers, debts) {
-        const assignedNames = new Set(); // To check concurrency limits
+    // Everything an edit can change. The ledger is left out (confirming has its own unlock),
+    // except the pointers of its last day, which the pointer UI edits.
+    // With allLedgerPointers, every confirmed day's pointers are kept (needed when the
+    // member list changes, see setMembers); otherwise only the tip's, which is all other edits touch.
+    snapshot(allLedgerPointers = false) {
+        const last = this.lastConfirmedKey();
+        return JSON.stringify({
+            members: this.members,
+            pointers: this.pointers,
+            debts: this.debts,
+            settings: this.settings,
+            tip: last ? { key: last, pointers: this.ledger[last].pointers, debts: this.ledger[last].debts } : null,
+            ledgerPointers: allLedgerPointers
+                ? Object.fromEntries(Object.entries(this.ledger).map(([key, entry]) => [key, entry.pointers]))
+                : undefined
+        });
+    }
 
-        // Helper: Check Concurrency
-        const canAssign = (member, roleId) => {
-            if (assignedNames.has(member.name)) {
-                // Rules:
-                // 1. Cleaning vs Cleaning -> NO (But roleId is distinct, e.g. clean_a vs clean_b)
-                //    We treat 'clean_a' and 'clean_b' as 'clean' type.
+    restore(snapshot) {
+        const data = JSON.parse(snapshot);
+        this.members = data.members;
+        this.pointers = data.pointers;
+        this.debts = data.debts;
+        this.settings = data.settings;
+        if (data.tip && this.ledger[data.tip.key]) {
+            this.ledger[data.tip.key].pointers = data.tip.pointers;
+            if (data.tip.debts) this.ledger[data.tip.key].debts = data.tip.debts;
+        }
+        Object.entries(data.ledgerPointers || {}).forEach(([key, pointers]) => {
+            if (this.ledger[key]) this.ledger[key].pointers = pointers;
+        });
+        this.normalize();
+    }
 
-                // Get roles already assigned to this person today
-                const currentRoles = Object.entries(dayResult.assignments)
-                    .filter(([rId, name]) => name === member.name)
-                    .map(([rId]) => rId);
+    // Apply an edit as one undoable step, then save.
+    // Pass { allLedgerPointers: true } for edits that rewrite confirmed days' pointers.
+    record(label, mutate, { allLedgerPointers = false } = {}) {
+        const before = this.snapshot(allLedgerPointers);
+        mutate();
+        this.history.undo.push({ label, snapshot: before, allLedgerPointers });
+        if (this.history.undo.length > HISTORY_LIMIT) this.history.undo.shift();
+        this.history.redo = [];
+        this.save();
+    }
 
-                // Rule: Speech vs Comment -> NO
-                if (roleId === 'speech' && currentRoles.includes('comment')) return false;
-                if (roleId === 'comment' && currentRoles.includes('speech')) return false;
+    // Returns the label of the step undone/redone, or null if there was nothing to do
+    undo() {
+        return this.step(this.history.undo, this.history.redo);
+    }
 
-                // Rule: Cleaning vs Cleaning -> NO
-                if (roleId.startsWith('clean') && currentRoles.some(r => r.startsWith('clean'))) return false;
+    redo() {
+        return this.step(this.history.redo, this.history.undo);
+    }
 
-                // Rule: Nichoku is OK with anything (except maybe itself, which is unique)
-                // Rule: Cleaning is OK with Nichoku
-                // Rule: Speech/Comment OK with Nichoku/Cleaning
+    step(from, to) {
+        const entry = from.pop();
+        if (!entry) return null;
+        const allLedgerPointers = !!entry.allLedgerPointers;
+        to.push({ label: entry.label, snapshot: this.snapshot(allLedgerPointers), allLedgerPointers });
+        if (to.length > HISTORY_LIMIT) to.shift();
+        this.restore(entry.snapshot);
+        this.save();
+        return entry.label;
+    }
 
-                return true;
-            }
-            return true;
+    // What gets stored: in localStorage, and on the shared server when connected
+    plainState() {
+        return {
+            schemaVersion: SCHEMA_VERSION,
+            members: this.members,
+            pointers: this.pointers,
+            debts: this.debts,
+            settings: this.settings,
+            ledger: this.ledger
         };
+    }
 
-        // Helper: Find Candidate
-        const findCandidate = (roleId, pointerKey) => {
-            // Strategy:
-            // 1. Check Debts (High priority)
-            // 2. Check Pointer (Normal rotation)
-
-            // 1. Debt Check
-            // We need a deterministic order for debts -> usually name or ID order
-            const debtCandidates = availableMembers.filter(m => (debts[m.name]?.[pointerKey] || 0) > 0);
-
-            // Sort debt candidates by amount of debt desc, then ID
-            debtCandidates.sort((a, b) => {
-                const da = debts[a.name][pointerKey];
-                const db = debts[b.name][pointerKey];
-                if (da !== db) return db - da;
-                return a.studentNumber - b.studentNumber;
-            });
+    save() {
+        localStorage.setItem(this.storageKeys.state, JSON.stringify(this.plainState()));
+        this.saveHistory();
+        if (this.remote) this.remote.changed();
+    }
 
-            for (const m of debtCandidates) {
-                if (canAssign(m, roleId)) {
-                    // Assign from debt
-                    debts[m.name][pointerKey]--;
-                    return m;
-                }
-            }
+    // Take over state saved elsewhere (the shared server). Stored locally, but not sent back.
+    // Undo history stays, so a change from another PC can still be undone here.
+    adopt(data) {
+        const copy = migrateState(JSON.parse(JSON.stringify(data)));
+        this.members = copy.members || [];
+        this.pointers = copy.pointers || {};
+        this.debts = copy.debts || {};
+        this.settings = copy.settings;
+        this.ledger = copy.ledger || {};
+        this.normalize();
+        localStorage.setItem(this.storageKeys.state, JSON.stringify(this.plainState()));
+    }
 
-            // 2. Pointer Check
-            // We iterate through list starting from pointer
-            // If the person at pointer is absent or busy, we SKIP them (and give them debt), and try next.
-            // Wait, standard roster logic with "Debt":
-            // "If turn comes but absent -> Add Debt, Move Pointer, Try Next."
-
-            let attempts = 0;
-            const totalMembers = this.state.members.length; // Active and Inactive? No, Pointer is index in Sorted Valid Member List usually?
-            // User requirement: "Number setting". Usually implies fixed slots.
-            // Let's assume Pointer is index in `this.state.members` (sorted by ID).
-
-            // We loop until we find someone or exhaust list
-            while (attempts < totalMembers) {
-                const pIdx = pointers[pointerKey] % totalMembers;
-                const candidate = this.state.members[pIdx];
-
-                // If candidate is NOT ACTIVE (left school etc), just skip pointer?
-                if (!candidate.active) {
-                    pointers[pointerKey]++;
-                    attempts++;
-                    continue;
-                }
+    // Clears this workspace only; other classes are untouched.
+    // A class connected to a server downloads the server's data again after the reload.
+    reset() {
+        localStorage.removeItem(this.storageKeys.state);
+        localStorage.removeItem(this.storageKeys.history);
+        localStorage.removeItem(this.storageKeys.sync);
+        localStorage.removeItem(this.storageKeys.announce);
+        localStorage.removeItem(this.storageKeys.webhookToken);
+        location.reload();
+    }
+}
 
-                // If candidate is ACTIVE but ABSENT/BUSY today:
-                if (!availableMembers.find(m => m.name === candidate.name)) {
-                    // Absent -> Add Debt, Advance Pointer
-                    if (!debts[candidate.name]) debts[candidate.name] = {};
-                    debts[candidate.name][pointerKey] = (debts[candidate.name][pointerKey] || 0) + 1;
+// --- Shared Server ---
+// A class can be connected to a roster server (`roster serve`, see server.mjs) so that several PCs
+// share it. localStorage stays the working copy: every save is also sent to the server together
+// with the server revision it is based on. Saves that can't be sent (offline, server down) stay
+// pending and go out once the server is reachable again. When another PC saved first (409), both
+// sides' edits are merged against the last synced copy (mergeStates in engine.js); only parts
+// both changed differently are left for the user to decide.
+const SYNC_INTERVAL = 15000; // ms between checks for changes from other PCs
+
+class RemoteStore {
+    // config: { url, remoteId, token } as stored on the workspace
+    constructor(rosterState, config, name) {
+        this.state = rosterState;
+        this.config = config;
+        this.name = name; // Class name sent with the state
+        const saved = JSON.parse(localStorage.getItem(rosterState.storageKeys.sync) || 'null') || {};
+        this.revision = saved.revision || 0; // Server revision the local copy is based on
+        this.base = saved.base || null; // JSON of the state at that revision, for merging
+        this.pending = !!saved.pending; // Local saves not on the server yet
+        this.status = this.pending ? 'pending' : 'synced'; // synced | pending | offline | error
+        this.message = '';
+        this.busy = false;
+        this.again = false;
+        this.onUpdate = () => {}; // Called after the local state was replaced or merged
+        this.onStatus = () => {};
+    }
 
-                    pointers[pointerKey]++;
-                    attempts++;
-                    continue;
-                }
+    persist() {
+        localStorage.setItem(this.state.storageKeys.sync, JSON.stringify({ revision: this.revision, base: this.base, pending: this.pending }));
+    }
 
-                if (!canAssign(candidate, roleId)) {
-                    // Present but Busy (Conflict) -> Add Debt, Advance Pointer
-                    // (Unless we want to wait? No, user said "priority to those with remaining count" implies we skip and debt)
-                    if (!debts[candidate.name]) debts[candidate.name] = {};
-                    debts[candidate.name][pointerKey] = (debts[candidate.name][pointerKey] || 0) + 1;
+    setStatus(status, message = '') {
+        this.status = status;
+        this.message = message;
+        this.onStatus();
+    }
 
-                    pointers[pointerKey]++;
-                    attempts++;
-                    continue;
-                }
+    // `path` is below the class, e.g. '/announcement'
+    request(method, body, headers = {}, path = '') {
+        const url = `${this.config.url.replace(/\/+$/, '')}/api/workspaces/${encodeURIComponent(this.config.remoteId)}${path}`;
+        return fetch(url, {
+            method,
+            cache: 'no-store',
+            headers: {
+                'Content-Type': 'application/json',
+                ...(this.config.token ? { Authorization: `Bearer ${this.config.token}` } : {}),
+                ...headers
+            },
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+    }
 
-                // Found Valid Candidate
-                pointers[pointerKey]++;
-                return candidate;
-            }
-            return null; // No one available
-        };
+    // Called by RosterState#save
+    changed() {
+        this.pending = true;
+        this.persist();
+        this.sync();
+    }
 
-        // ASSIGNMENT SEQUENCE
-        // We should assign in an order that respects difficulty? Or just fixed order.
-        // Usually Cleaning requires most people.
-
-        // Assignments:
-        // 1. Nichoku (pointer: nichoku)
-        // 2. Speech (pointer: speech)
-        // 3. Comment (pointer: comment)
-        // 4. Cleaning A (pointer: clean)
-        // 5. Cleaning B (pointer: clean) -- Shares pointer with A
-
-        // Nichoku
-        const nichoku = findCandidate('nichoku', 'nichoku');
-        if (nichoku) {
-            dayResult.assignments['nichoku'] = nichoku.name;
-            assignedNames.add(nichoku.name);
+    // One round trip: send pending saves, or else fetch what other PCs saved.
+    // Failures keep everything pending for the next round (timer, reconnect, next save).
+    async sync() {
+        if (this.busy) {
+            this.again = true;
+            return;
         }
-
-        // Speech
-        const speech = findCandidate('speech', 'speech');
-        if (speech) {
-            dayResult.assignments['speech'] = speech.name;
-            assignedNames.add(speech.name);
+        this.busy = true;
+        try {
+            if (this.pending) await this.push();
+            else await this.pull();
+        } catch (e) {
+            // fetch rejects with a TypeError when the server can't be reached at all
+            if (e instanceof TypeError) this.setStatus('offline');
+            else this.setStatus('error', e.message);
+        } finally {
+            this.busy = false;
         }
-
-        // Comment
-        const comment = findCandidate('comment', 'comment');
-        if (comment) {
-            dayResult.assignments['comment'] = comment.name;
-            assignedNames.add(comment.name);
+        if (this.again) {
+            this.again = false;
+            this.sync();
         }
+    }
 
-        // Cleaning
-        if (!dayResult.noCleaning) {
-            // Sliding Window Logic:
-            // We want overlapping pairs: (1, 2) -> (2, 3) -> (3, 4)
-            // This means we should aim to effectively increment the pointer by just 1 each day,
-            // even though we pick 2 people.
-
-            // To achieve this robustly even with absences:
-            // 1. Snapshot the current clean pointer.
-            // 2. Find 2 candidates starting from that pointer.
-            // 3. REGARDLESS of how many we searched or skipped, force the pointer to preserve the "slide by 1" intent?
-            //    Actually, "next day starts with the 2nd person of today". 
-            //    So if today is (P1, P2), tomorrow starts searching at P2? No, tomorrow should be (P2, P3).
-            //    Today starts at ptr. Next day should start at ptr + 1.
-
-            const startPtr = pointers['clean'];
-
-            // Temporary separate pointers for searching to not mess up the "slide by 1" logic for next day
-            // But we DO want to record debts if people are skipped.
-            // So we can't just ignore the search process.
-
-            // Let's use the standard search but MANUALLY reset the pointer for the next day.
-
-            // Clean A
-            const cleanA = findCandidate('clean_a', 'clean');
-            if (cleanA) {
-                dayResult.assignments['clean_a'] = cleanA.name;
-                assignedNames.add(cleanA.name);
-            }
-
-            // Clean B
-            const cleanB = findCandidate('clean_b', 'clean');
-            if (cleanB) {
-                dayResult.assignments['clean_b'] = cleanB.name;
-                assignedNames.add(cleanB.name);
-            }
+    async push() {
+        this.setStatus('pending');
+        const sent = JSON.stringify(this.state.plainState());
+        const response = await this.request('PUT', { name: this.name, state: JSON.parse(sent) }, { 'If-Match': `"${this.revision}"` });
+        const body = await response.json().catch(() => ({}));
+        if (response.status === 409) {
+            this.merge(body);
+            return;
+        }
+        if (!response.ok) throw new Error(body.error || `HTTP ${response.status}`);
+
+        this.revision = body.revision;
+        this.base = sent;
+        // Saved again while the request was out: that goes in the next round
+        this.pending = JSON.stringify(this.state.plainState()) !== sent;
+        this.persist();
+        if (this.pending) this.again = true;
+        else this.setStatus('synced');
+    }
 
-            // Force Sliding Window:
-            // The "findCandidate" method advances pointers['clean'] as it finds people.
-            // However, to ensure the overlap (1,2 -> 2,3), we want the pointer for TOMORROW
-            // to be exactly `startPtr + 1` (modulo count).
-            // BUT: What if `startPtr` person was absent and skipped today?
-            // If they were absent, they have debt. 
-            // If we force `startPtr + 1`, we effectively move to the next person.
+    async pull() {
+        const response = await this.request('GET', undefined, { 'If-None-Match': `"${this.revision}"` });
+        if (response.status === 304) {
+            this.setStatus('synced');
+            return;
+        }
+        const body = await response.json().catch(() => ({}));
+        if (!response.ok) throw new Error(body.error || `HTTP ${response.status}`);
+        if (this.pending) {
+            this.again = true; // Saved meanwhile: push (and merge) first
+            return;
+        }
+        this.take(body.revision, body.state);
+    }
 
-            // Original Request: "4, 5 do it, next day 5, 6 do it".
-            // This implies a strict index progression.
+    // Server data replaces the local copy (nothing local is pending)
+    take(revision, data) {
+        this.revision = revision;
+        this.base = JSON.stringify(data);
+        this.pending = false;
+        this.state.adopt(data);
+        this.persist();
+        this.setStatus('synced');
+        this.onUpdate();
+    }
 
-            pointers['clean'] = startPtr + 1;
+    // Another PC saved first: { revision, state } is what the server has now.
+    // Without a synced copy to compare with (first upload), every difference counts as a conflict.
+    merge(theirs) {
+        // A base synced before a schema change is upgraded like the two sides were
+        const base = this.base ? migrateState(JSON.parse(this.base)) : { settings: { daySettings: {} } };
+        const mine = JSON.parse(JSON.stringify(this.state.plainState()));
+        let { state: merged, conflicts } = mergeStates(base, mine, theirs.state);
+        if (conflicts.length > 0) {
+            const what = conflicts.map(c => (c === 'members' ? 'メンバー・ポインタ・負債・確定' : c === 'settings' ? '設定' : dateLabel(c))).join('、');
+            const keepMine = confirm(`ほかの端末でも同じところが変更されています: ${what}\n\nOK: この端末の変更を優先する\nキャンセル: ほかの端末の変更を優先する\n\n（重なっていない変更は、どちらも残ります）`);
+            // With the sides swapped, conflicting parts keep this PC's version
+            if (keepMine) merged = mergeStates(base, theirs.state, mine).state;
         }
+
+        this.revision = theirs.revision;
+        this.base = JSON.stringify(theirs.state);
+        this.state.adopt({ schemaVersion: SCHEMA_VERSION, ...merged });
+        this.pending = JSON.stringify(this.state.plainState()) !== JSON.stringify({ schemaVersion: SCHEMA_VERSION, ...theirs.state });
+        this.persist();
+        this.onUpdate();
+        if (this.pending) this.again = true;
+        else this.setStatus('synced');
     }
 }
 
 // --- UI Logic ---
-const state = new RosterState();
+const workspaces = loadWorkspaces();
+selectBoardWorkspace();
+const state = new RosterState(workspaces.current);
 const engine = new RosterEngine(state);
 
 function init() {
+    renderWorkspaceSwitcher();
+    startServerSync();
+    if (isBoardMode()) {
+        startBoard();
+        return;
+    }
+    startAnnouncements();
     // Check if initial setup is needed
     if (state.members.length === 0) {
         showSetupModal();
@@ -340,19 +535,41 @@ function renderApp() {
     renderConfig();
     renderSchedule();
     renderMemberList();
+    renderRoleList();
+    renderRuleList();
+    renderEligibilityList();
+    renderCalendarSettings();
+    renderDebtList();
+    renderDebtPolicy();
+}
+
+// For text people typed (names, notes, labels, URLs) inside innerHTML templates and attribute
+// values: it may come from an import or the shared server, not just this PC.
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+// --- Modal ---
+function openModal(html, wide = false) {
+    const content = document.getElementById('modal-content');
+    content.classList.toggle('max-w-sm', !wide);
+    content.classList.toggle('max-w-2xl', wide);
+    content.innerHTML = html;
+    document.getElementById('modal-overlay').classList.remove('hidden');
+}
+
+function closeModal() {
+    document.getElementById('modal-overlay').classList.add('hidden');
 }
 
 // --- Setup Modal ---
 function showSetupModal() {
-    const modal = document.getElementById('modal-overlay');
-    const content = document.getElementById('modal-content');
-    modal.classList.remove('hidden');
-    content.innerHTML = `
+    openModal(`
         <h2 class="text-xl font-bold mb-4 text-white">初期設定</h2>
         <p class="text-gray-400 mb-4">メンバーの人数を入力してください。<br>(後で名前や人数の変更が可能です)</p>
         <input type="number" id="setup-count" value="20" min="1" class="w-full bg-gray-900 border border-gray-600 rounded p-2 text-white mb-4">
         <button onclick="submitSetup()" class="w-full bg-indigo-600 hover:bg-indigo-500 py-2 rounded text-white font-bold">開始する</button>
-    `;
+    `);
 }
 
 function submitSetup() {
@@ -360,6 +577,7 @@ function submitSetup() {
     if (!count || count < 1) return;
 
     const newMembers = Array.from({ length: count }, (_, i) => ({
+        id: `m${i + 1}`,
         studentNumber: i + 1,
         name: `生徒${i + 1}`,
         active: true
@@ -368,7 +586,7 @@ function submitSetup() {
     state.members = newMembers;
     state.save();
 
-    document.getElementById('modal-overlay').classList.add('hidden');
+    closeModal();
     renderApp();
 }
 
@@ -377,6 +595,9 @@ function renderSchedule() {
     const tableBody = document.getElementById('schedule-body');
     if (!tableBody) return;
     tableBody.innerHTML = '';
+    renderScheduleHead();
+    renderHistoryButtons();
+    renderDraftBar();
 
     // Date navigation
     const currentMonthLabel = document.getElementById('current-month-display');
@@ -385,234 +606,2865 @@ function renderSchedule() {
     }
 
     // Run Simulation
-    // We simulate enough days to cover the view
-    // For simplicity, we restart simulation from 'startDate' every time.
-    // In a production app with huge history, we might cache snapshopts.
-
-    // Calculate days to display
+    // Only the viewed month is simulated; the engine resumes from its nearest
+    // monthly checkpoint (or the last confirmed day) instead of startDate.
     const viewDate = window.currentViewDate || new Date();
     const viewMonth = viewDate.getMonth();
     const viewYear = viewDate.getFullYear();
 
-    const simStart = new Date(state.settings.startDate);
+    const viewStart = new Date(viewYear, viewMonth, 1);
     const viewEnd = new Date(viewYear, viewMonth + 1, 0); // End of current view month
 
-    const diffTime = viewEnd.getTime() - simStart.getTime();
-    const daysToSimulate = Math.ceil(diffTime / (1000 * 60 * 60 * 24)) + 5; // Buffer
-
-    if (daysToSimulate < 0) {
-        tableBody.innerHTML = `<tr><td colspan="8" class="text-center p-8 text-gray-500">設定された開始日より前です</td></tr>`;
+    if (engine.dayIndex(viewEnd) < 0) {
+        tableBody.innerHTML = `<tr><td colspan="${state.roles.length + 3}" class="text-center p-8 text-gray-500">設定された開始日より前です</td></tr>`;
         return;
     }
 
-    const schedule = engine.simulate(daysToSimulate);
-
-    // Filter for view
-    const viewSchedule = schedule.filter(d =>
-        d.date.getMonth() === viewMonth && d.date.getFullYear() === viewYear
-    );
+    // In draft mode the table shows the proposed schedule, marking what differs from the saved one
+    const viewSchedule = scheduleEngine().simulateRange(viewStart, viewEnd);
+    const savedSchedule = draft ? engine.simulateRange(viewStart, viewEnd) : null;
 
-    viewSchedule.forEach(day => {
+    viewSchedule.forEach((day, i) => {
+        const changes = savedSchedule ? changedCells(savedSchedule[i], day) : null;
+        const changedClass = key => (changes && changes.includes(key) ? 'ring-2 ring-inset ring-amber-400/70 bg-amber-500/10' : '');
         const row = document.createElement('tr');
         const isToday = engine.dateKey(new Date()) === day.key;
         row.className = `border-b border-gray-800 hover:bg-white/5 transition group ${isToday ? 'bg-indigo-900/20' : ''} ${day.isHoliday ? 'bg-red-900/10' : ''}`;
 
+        // Confirmed rows can only be unlocked; unconfirmed rows up to today can be confirmed
+        let lockButton = '';
+        if (day.locked) {
+            lockButton = `<button onclick="unlockDay('${day.key}')" title="確定を解除" class="p-1 text-xs rounded border border-amber-600 text-amber-400 hover:border-amber-400">🔒</button>`;
+        } else if (day.key <= engine.dateKey(new Date())) {
+            lockButton = `<button onclick="confirmDay('${day.key}')" title="この日まで確定" class="p-1 text-xs rounded border border-gray-700 text-gray-500 hover:border-amber-400">確</button>`;
+        }
+
         let html = `
-            <td class="p-3 text-sm font-mono text-gray-400">${day.date.getDate()} (${['日', '月', '火', '水', '木', '金', '土'][day.date.getDay()]})</td>
-            <td class="p-3 flex gap-1">
+            <td class="p-3 text-sm font-mono text-gray-400 ${changedClass('day')}">${day.date.getDate()} (${['日', '月', '火', '水', '木', '金', '土'][day.date.getDay()]})</td>
+            <td class="p-3 flex gap-1 ${day.locked ? 'opacity-60' : ''}">
                  <button onclick="toggleHoliday('${day.key}')" class="p-1 text-xs rounded border ${day.isHoliday ? 'border-red-500 text-red-500' : 'border-gray-700 text-gray-500'} hover:border-red-400">休</button>
                  <button onclick="toggleNoCleaning('${day.key}')" class="p-1 text-xs rounded border ${day.noCleaning ? 'border-blue-500 text-blue-500' : 'border-gray-700 text-gray-500'} hover:border-blue-400">掃</button>
+                 ${lockButton}
             </td>
         `;
 
         if (day.isHoliday) {
-            html += `<td colspan="5" class="p-3 text-center text-red-400/50 text-sm tracking-widest">- HOLIDAY -</td>`;
+            html += `<td colspan="${state.roles.length}" class="p-3 text-center text-red-400/50 text-sm tracking-widest">- ${day.label ? escapeHtml(day.label) : 'HOLIDAY'} -</td>`;
         } else {
             // Roles
-            CONFIG.roles.forEach(role => {
-                const assignee = day.assignments[role.id];
+            state.roles.forEach(role => {
+                const assignees = day.assignments[role.id] || [];
                 if (role.type === 'clean' && day.noCleaning) {
-                    html += `<td class="p-3 text-gray-700 text-xs">-</td>`;
-                } else if (assignee) {
-                    html += `<td class="p-3 ${role.style} font-medium text-sm cursor-pointer hover:underline" onclick="toggleAbsent('${day.key}', '${assignee}')">${assignee}</td>`;
+                    html += `<td class="p-3 text-gray-700 text-xs ${changedClass(role.id)}">${day.label ? escapeHtml(day.label) : '-'}</td>`;
+                } else if (assignees.length > 0) {
+                    const overridden = day.overrides[role.id] ? '<span class="text-amber-400 text-xs" title="手動で交代">✎</span>' : '';
+                    const namesHtml = assignees.map(id => `<div>${escapeHtml(state.memberName(id))}</div>`).join('') + overridden;
+                    html += `<td class="p-3 ${escapeHtml(role.style)} ${changedClass(role.id)} font-medium text-sm cursor-pointer hover:bg-white/5" title="${escapeHtml(describeChange(savedSchedule && savedSchedule[i], day, role.id) || describeSkips(day, role.id))}" onclick="showTrace(event, '${day.key}', '${role.id}')">${namesHtml}</td>`;
                 } else {
-                    html += `<td class="p-3 text-gray-700 text-xs">-</td>`;
+                    html += `<td class="p-3 text-gray-700 text-xs ${changedClass(role.id)} cursor-pointer hover:bg-white/5" title="${escapeHtml(describeChange(savedSchedule && savedSchedule[i], day, role.id) || describeSkips(day, role.id))}" onclick="showTrace(event, '${day.key}', '${role.id}')">-</td>`;
                 }
             });
         }
 
         // Absentees
-        const absenteesHtml = day.manualAbsentees.map(name =>
-            `<span class="inline-block bg-red-900/40 text-red-300 text-xs px-1 rounded border border-red-800/50 cursor-pointer hover:bg-red-800" onclick="toggleAbsent('${day.key}', '${name}')">${name}</span>`
+        const absenteesHtml = day.manualAbsentees.map(id =>
+            `<span class="inline-block bg-red-900/40 text-red-300 text-xs px-1 rounded border border-red-800/50 cursor-pointer hover:bg-red-800" onclick="toggleAbsent('${day.key}', '${id}')">${escapeHtml(state.memberName(id))}</span>`
         ).join(' ');
 
-        html += `<td class="p-3 text-xs text-gray-500">${absenteesHtml}</td>`;
+        // Planned absences come from member availability and are edited in the member's 予定 dialog
+        const plannedHtml = day.plannedAbsences.map(p => {
+            const reason = p.type === 'leave' ? '欠席期間' : `${describeRoleSelector(p.role)}なし`;
+            const style = p.type === 'leave' ? 'bg-amber-900/40 text-amber-300 border-amber-800/50' : 'bg-gray-800 text-gray-400 border-gray-700';
+            return `<span class="inline-block ${style} text-xs px-1 rounded border" title="${escapeHtml(p.note)}">${escapeHtml(state.memberName(p.memberId))} (${escapeHtml(reason)})</span>`;
+        }).join(' ');
+
+        html += `<td class="p-3 text-xs text-gray-500 ${changedClass('absent')}">${absenteesHtml} ${plannedHtml}</td>`;
 
         row.innerHTML = html;
         tableBody.appendChild(row);
     });
 }
 
-// --- Actions ---
+// Role columns follow the configured roles
+function renderScheduleHead() {
+    const headRow = document.getElementById('schedule-head');
+    if (!headRow) return;
 
-function toggleHoliday(dateKey) {
-    if (!state.settings.daySettings[dateKey]) state.settings.daySettings[dateKey] = {};
-    const ds = state.settings.daySettings[dateKey];
-    ds.isHoliday = !ds.isHoliday;
-    state.save();
-    renderSchedule();
+    const roleHeads = state.roles.map(role =>
+        `<th class="p-4 border-b border-gray-700 min-w-[100px] ${escapeHtml(role.style)}">${escapeHtml(role.name)}</th>`
+    ).join('');
+
+    headRow.innerHTML = `
+        <th class="p-4 border-b border-gray-700 w-24">日付</th>
+        <th class="p-4 border-b border-gray-700 w-20">設定</th>
+        ${roleHeads}
+        <th class="p-4 border-b border-gray-700">欠席など</th>
+    `;
 }
 
-function toggleNoCleaning(dateKey) {
-    if (!state.settings.daySettings[dateKey]) state.settings.daySettings[dateKey] = {};
-    const ds = state.settings.daySettings[dateKey];
-    ds.noCleaning = !ds.noCleaning;
-    state.save();
-    renderSchedule();
+// --- Assignment Trace ---
+// Clicking a role cell opens a popover explaining how it was filled (the engine's per-day trace),
+// with the absence toggle for the people in it.
+
+function describeTraceStep(step) {
+    const name = escapeHtml(state.memberName(step.memberId));
+    const where = step.source === 'debt' ? `負債 ${step.debt[0]}` : `位置 ${step.index}`;
+    const result = step.result === 'picked'
+        ? (step.source === 'debt' ? '負債から担当' : 'ローテーションで担当')
+        : `スキップ: ${escapeHtml(describeSkipReason(step))}`;
+    const debt = step.waived
+        ? ` (${describeWaivedDebt(step.waived)})`
+        : step.debt && step.debt[0] !== step.debt[1] ? ` (負債 ${step.debt[0]}→${step.debt[1]})` : '';
+    return `<span class="text-gray-500 font-mono">${where}</span> ${name} — ${result}${debt}`;
 }
 
-function toggleAbsent(dateKey, name) {
-    if (!state.settings.daySettings[dateKey]) state.settings.daySettings[dateKey] = {};
-    const ds = state.settings.daySettings[dateKey];
-    if (!ds.absentees) ds.absentees = [];
+// Why a skip added no debt (see the debt policy)
+function describeWaivedDebt(waived) {
+    if (waived === 'forgiven') return '欠席は免除: 負債なし';
+    if (waived === 'conflict') return '兼任の重なりは負債なし';
+    return '負債の上限';
+}
+
+function describeOverrideSettlement(settlement) {
+    const name = state.memberName(settlement.memberId);
+    const what = settlement.result === 'forced' ? '交代で担当（前借り）' : '交代で外れた（次に回る）';
+    const debt = settlement.waived ? describeWaivedDebt(settlement.waived) : `負債 ${settlement.debt[0]}→${settlement.debt[1]}`;
+    return `${name} — ${what} (${debt})`;
+}
 
-    if (ds.absentees.includes(name)) {
-        ds.absentees = ds.absentees.filter(n => n !== name);
+function showTrace(event, dateKey, roleId) {
+    event.stopPropagation();
+    const date = engine.dateForKey(dateKey);
+    const day = scheduleEngine().simulateRange(date, date)[0];
+    const role = state.roles.find(r => r.id === roleId);
+    const trace = day.trace.find(t => t.roleId === roleId);
+    const count = state.members.length;
+
+    let body;
+    if (!trace) {
+        body = '<p class="text-gray-500">この日の記録はありません（記録機能より前に確定された日です）。</p>';
     } else {
-        ds.absentees.push(name);
+        const slots = trace.slots.map((slot, i) => `
+            <div class="mb-2">
+                <div class="font-bold ${escapeHtml(role.style)}">${trace.slots.length > 1 ? `${i + 1}人目: ` : ''}${slot.memberId ? escapeHtml(state.memberName(slot.memberId)) : '該当者なし'}${trace.override ? ' <span class="text-xs text-gray-500">(自動の割り当て)</span>' : ''}</div>
+                <ol class="text-xs text-gray-300 space-y-0.5 ml-2">
+                    ${slot.steps.map(step => `<li class="${step.result === 'picked' ? 'text-white' : ''}">${describeTraceStep(step)}</li>`).join('')}
+                </ol>
+            </div>
+        `).join('');
+        const override = trace.override ? `
+            <div class="mb-2">
+                <div class="font-bold text-amber-300">交代 (手動): ${escapeHtml(day.assignments[roleId].map(id => state.memberName(id)).join('・'))}</div>
+                <ul class="text-xs text-gray-300 space-y-0.5 ml-2">
+                    ${trace.override.map(o => `<li>${escapeHtml(describeOverrideSettlement(o))}</li>`).join('')}
+                </ul>
+            </div>
+        ` : '';
+        const expired = (day.expiredDebts || []).filter(e => e.pointerKey === trace.pointerKey);
+        const expiry = expired.length > 0 ? `
+            <p class="text-xs text-gray-500 mb-2">期限切れで消えた負債: ${escapeHtml(expired.map(e => `${state.memberName(e.memberId)} ${e.count}`).join('、'))}</p>
+        ` : '';
+        body = `
+            <p class="text-xs text-gray-500 mb-2">ポインタ「${escapeHtml(pointerLabel(trace.pointerKey))}」: 位置 ${trace.pointerStart % count} から開始 → 次回は位置 ${trace.pointerEnd % count}</p>
+            ${expiry}
+            ${slots}
+            ${override}
+        `;
     }
-    state.save();
-    renderSchedule();
+
+    let actions;
+    if (day.locked) {
+        actions = '<p class="text-xs text-amber-400">🔒 確定済みの日です</p>';
+    } else {
+        // Swap anyone in: same list, one slot replaced
+        const memberOptions = current => state.members.filter(m => m.active).map(m =>
+            `<option value="${m.id}" ${m.id === current ? 'selected' : ''}>${escapeHtml(m.name)}</option>`
+        ).join('');
+        const swaps = (day.assignments[roleId] || []).map((id, slot) => `
+            <div class="flex items-center gap-1 w-full">
+                <span class="text-xs text-gray-400">交代:</span>
+                <select onchange="overrideSlot('${dateKey}', '${roleId}', ${slot}, this.value)" class="flex-1 bg-gray-900 border border-gray-600 rounded px-1 py-0.5 text-xs text-white">${memberOptions(id)}</select>
+                <button onclick="closeTrace(); toggleAbsent('${dateKey}', '${id}')" class="px-2 py-0.5 text-xs rounded border border-red-800/50 text-red-300 hover:bg-red-900/40">欠席</button>
+            </div>
+        `).join('');
+        const reset = day.overrides[roleId]
+            ? `<button onclick="clearOverride('${dateKey}', '${roleId}')" class="px-2 py-1 text-xs rounded border border-amber-700 text-amber-300 hover:bg-amber-900/40">交代を取り消す</button>`
+            : '';
+        actions = swaps + reset;
+    }
+
+    const popover = document.getElementById('trace-popover');
+    popover.innerHTML = `
+        <div class="flex items-center justify-between mb-2">
+            <h3 class="font-bold">${dateLabel(dateKey)} ${escapeHtml(role.name)}</h3>
+            <button onclick="closeTrace()" class="p-1 px-2 text-xs text-gray-400 hover:text-white">✕</button>
+        </div>
+        ${body}
+        <div class="flex flex-wrap gap-1 mt-3 pt-3 border-t border-gray-700">${actions}</div>
+    `;
+    popover.classList.remove('hidden');
+
+    // Below the cell, kept inside the window
+    const rect = event.currentTarget.getBoundingClientRect();
+    const left = Math.max(8, Math.min(rect.left, window.innerWidth - popover.offsetWidth - 8));
+    let top = rect.bottom + 4;
+    if (top + popover.offsetHeight > window.innerHeight - 8) top = Math.max(8, rect.top - popover.offsetHeight - 4);
+    popover.style.left = `${left}px`;
+    popover.style.top = `${top}px`;
 }
 
-// --- Member Management ---
+function closeTrace() {
+    document.getElementById('trace-popover')?.classList.add('hidden');
+}
 
-function renderMemberList() {
-    const tbody = document.getElementById('member-list-body');
-    if (!tbody) return;
-    tbody.innerHTML = '';
+document.addEventListener('click', e => {
+    const popover = document.getElementById('trace-popover');
+    if (popover && !popover.contains(e.target)) closeTrace();
+});
+document.addEventListener('keydown', e => {
+    if (e.key === 'Escape') closeTrace();
+});
 
-    state.members.forEach(m => {
-        const tr = document.createElement('tr');
-        tr.className = "border-b border-gray-800";
-        tr.innerHTML = `
-            <td class="p-2 text-center text-gray-500">${m.studentNumber}</td>
-            <td class="p-2"><input value="${m.name}" onchange="updateMemberName(${m.studentNumber}, this.value)" class="bg-transparent text-white border-b border-gray-700 focus:border-indigo-500 outline-none w-full"></td>
-            <td class="p-2 text-center">
-                <button onclick="toggleMemberActive(${m.studentNumber})" class="text-xs ${m.active ? 'text-green-400' : 'text-gray-600'}">${m.active ? '有効' : '無効'}</button>
-            </td>
-        `;
-        tbody.appendChild(tr);
-    });
+// --- Print ---
+// Light handouts for the classroom wall, built from the simulated schedule and printed from
+// #print-area (style.css hides everything else when printing).
+
+function showPrintModal() {
+    const viewDate = window.currentViewDate || new Date();
+    const today = new Date();
+    const inView = today.getFullYear() === viewDate.getFullYear() && today.getMonth() === viewDate.getMonth();
+    const weekDate = inView ? today : new Date(viewDate.getFullYear(), viewDate.getMonth(), 1);
+
+    openModal(`
+        <h2 class="text-xl font-bold mb-4 text-white">印刷</h2>
+        <div class="space-y-3 text-sm text-gray-300">
+            <label class="flex items-center gap-2">
+                <input type="radio" name="print-range" value="week" checked>
+                1週間: <input id="print-week" type="date" value="${localDateValue(weekDate)}" class="bg-gray-900 border border-gray-600 rounded px-1 text-white"> を含む週
+            </label>
+            <label class="flex items-center gap-2">
+                <input type="radio" name="print-range" value="month">
+                1か月: <input id="print-month" type="month" value="${localDateValue(viewDate).slice(0, 7)}" class="bg-gray-900 border border-gray-600 rounded px-1 text-white">
+            </label>
+            <label class="flex items-center gap-2">
+                <input type="checkbox" id="print-slips">
+                「今月の当番」カードを1人ずつ付ける（切り取って配布）
+            </label>
+        </div>
+        <div class="flex gap-2 mt-6">
+            <button onclick="printRoster()" class="flex-1 bg-indigo-600 hover:bg-indigo-500 py-2 rounded text-white font-bold">🖨 印刷する</button>
+            <button onclick="closeModal()" class="flex-1 py-2 rounded text-gray-400 hover:bg-white/5 text-sm">キャンセル</button>
+        </div>
+    `);
 }
 
-function updateMemberName(num, newName) {
-    const m = state.members.find(x => x.studentNumber === num);
-    if (m) {
-        // Need to migrate debts if name changes?
-        // Yes, debts are keyed by Name.
-        const oldName = m.name;
-        if (state.debts[oldName]) {
-            state.debts[newName] = state.debts[oldName];
-            delete state.debts[oldName];
-        }
-        m.name = newName;
-        state.save();
-    }
+// Days shown on paper: everything but weekdays without school (weekends, unless classes are held)
+function printableDays(schedule) {
+    const schoolDays = state.settings.calendar.schoolDays;
+    return schedule.filter(day => !day.isHoliday || schoolDays.includes(day.date.getDay()));
 }
 
-function toggleMemberActive(num) {
-    const m = state.members.find(x => x.studentNumber === num);
-    if (m) {
-        m.active = !m.active;
-        state.save();
-        renderMemberList(); // Re-render to show status
-        renderSchedule(); // Re-calc schedule
-    }
+function printDayLabel(day) {
+    return `${day.date.getMonth() + 1}/${day.date.getDate()} (${WEEKDAY_LABELS[day.date.getDay()]})`;
 }
 
-// --- Config / Pointers ---
-function renderConfig() {
-    // Allows manually setting the pointers
-    // TODO: Add UI for this in index.html, then hook up here
-    const container = document.getElementById('debug-pointers');
-    if (!container) return;
+// One cell: the names, "掃除なし" for cleaning roles on a no-cleaning day
+function printCell(day, role) {
+    if (role.type === 'clean' && day.noCleaning) {
+        return `<td class="print-no-cleaning">掃除なし${day.label ? `<br><small>${escapeHtml(day.label)}</small>` : ''}</td>`;
+    }
+    const names = (day.assignments[role.id] || []).map(id => escapeHtml(state.memberName(id)));
+    return `<td>${names.join('<br>') || '-'}</td>`;
+}
 
-    // Simple debug view
-    container.innerHTML = `
-        <div class="text-xs text-gray-500 font-mono">
-            Nichoku: ${state.pointers.nichoku} <br>
-            Speech: ${state.pointers.speech} <br>
-            Comment: ${state.pointers.comment} <br>
-            Clean: ${state.pointers.clean}
-        </div>
-    `;
+// Week: days across, roles down, big names for reading from the back of the room
+function buildPrintWeek(days) {
+    const head = days.map(day => `<th class="${day.isHoliday ? 'print-holiday' : ''}">${printDayLabel(day)}</th>`).join('');
+    // A holiday is one cell spanning every role row
+    const holiday = day => `<td rowspan="${state.roles.length}" class="print-holiday">休み${day.label ? `<br><small>${escapeHtml(day.label)}</small>` : ''}</td>`;
+    const rows = state.roles.map((role, i) => `
+        <tr>
+            <th>${escapeHtml(role.name)}</th>
+            ${days.map(day => day.isHoliday ? (i === 0 ? holiday(day) : '') : printCell(day, role)).join('')}
+        </tr>
+    `).join('');
+    return `<table class="print-table print-week"><thead><tr><th></th>${head}</tr></thead><tbody>${rows}</tbody></table>`;
 }
 
-// --- Global navigation ---
-window.currentViewDate = new Date();
-function changeMonth(delta) {
-    window.currentViewDate.setMonth(window.currentViewDate.getMonth() + delta);
-    renderSchedule();
+// Month: one row per day, roles across
+function buildPrintMonth(days) {
+    const head = state.roles.map(role => `<th>${escapeHtml(role.name)}</th>`).join('');
+    const rows = days.map(day => `
+        <tr>
+            <th>${printDayLabel(day)}</th>
+            ${day.isHoliday
+                ? `<td colspan="${state.roles.length}" class="print-holiday">休み${day.label ? `: ${escapeHtml(day.label)}` : ''}</td>`
+                : state.roles.map(role => printCell(day, role)).join('')}
+        </tr>
+    `).join('');
+    return `<table class="print-table print-month"><thead><tr><th></th>${head}</tr></thead><tbody>${rows}</tbody></table>`;
 }
 
-function regenerateSchedule() {
-    renderSchedule();
+// "My duties this month" cards, one per active member
+function buildDutySlips(days, title) {
+    const slips = state.members.filter(m => m.active).map(member => {
+        const duties = days.flatMap(day => state.roles
+            .filter(role => (day.assignments[role.id] || []).includes(member.id))
+            .map(role => `<li>${printDayLabel(day)} ${escapeHtml(role.name)}</li>`));
+        return `
+            <div class="print-slip">
+                <div class="print-slip-name">${escapeHtml(member.name)}</div>
+                <div class="print-slip-title">${title}</div>
+                <ul>${duties.join('') || '<li>当番はありません</li>'}</ul>
+            </div>
+        `;
+    }).join('');
+    return `<div class="print-slips">${slips}</div>`;
 }
 
-function resetAllData() {
-    if (confirm('全てのデータを削除してリセットしますか？')) {
-        state.reset();
+function printRoster() {
+    const range = document.querySelector('input[name="print-range"]:checked').value;
+    const withSlips = document.getElementById('print-slips').checked;
+
+    let from, to, title;
+    if (range === 'week') {
+        const value = document.getElementById('print-week').value;
+        if (!value) return;
+        const date = parseLocalDate(value);
+        from = new Date(date.getFullYear(), date.getMonth(), date.getDate() - ((date.getDay() + 6) % 7)); // Monday
+        to = new Date(from.getFullYear(), from.getMonth(), from.getDate() + 6);
+        title = `${from.getMonth() + 1}/${from.getDate()}〜${to.getMonth() + 1}/${to.getDate()} の当番`;
+    } else {
+        const value = document.getElementById('print-month').value;
+        if (!value) return;
+        const [y, m] = value.split('-').map(Number);
+        from = new Date(y, m - 1, 1);
+        to = new Date(y, m, 0);
+        title = `${y}年${m}月の当番`;
     }
+
+    const days = printableDays(engine.simulateRange(from, to));
+    if (days.length === 0) {
+        alert('この期間の当番はありません（開始日より前です）。');
+        return;
+    }
+
+    // Slips cover the month of the printed range
+    let slips = '';
+    if (withSlips) {
+        const monthFrom = new Date(from.getFullYear(), from.getMonth(), 1);
+        const monthTo = new Date(from.getFullYear(), from.getMonth() + 1, 0);
+        const monthDays = range === 'month' ? days : printableDays(engine.simulateRange(monthFrom, monthTo));
+        slips = `<section class="print-page">${buildDutySlips(monthDays, `${from.getFullYear()}年${from.getMonth() + 1}月の当番`)}</section>`;
+    }
+
+    document.getElementById('print-area').innerHTML = `
+        <section class="print-page">
+            <h1 class="print-title">${escapeHtml(currentWorkspace().name)} ${title}</h1>
+            ${range === 'week' ? buildPrintWeek(days) : buildPrintMonth(days)}
+        </section>
+        ${slips}
+    `;
+    // Wide week table on landscape, long month list on portrait
+    document.getElementById('print-page-style').textContent = `@page { size: A4 ${range === 'week' ? 'landscape' : 'portrait'}; margin: 10mm; }`;
+
+    closeModal();
+    window.print();
 }
 
-// --- Data Persistence ---
-function exportData() {
-    const data = JSON.stringify({
-        members: state.members,
-        pointers: state.pointers,
-        debts: state.debts, // Debts are important to keep
-        settings: state.settings
-    }, null, 2);
+// --- Schedule Export ---
+// The computed schedule (not the internal state) as CSV or iCalendar; see schedule-export.js
 
-    const blob = new Blob([data], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `roster_v3_state_${new Date().toISOString().split('T')[0]}.json`;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
+function showScheduleExportModal() {
+    const viewDate = window.currentViewDate || new Date();
+    const from = new Date(viewDate.getFullYear(), viewDate.getMonth(), 1);
+    const to = new Date(viewDate.getFullYear(), viewDate.getMonth() + 1, 0);
+    const memberOptions = state.members.filter(m => m.active)
+        .map(m => `<option value="${m.id}">${escapeHtml(m.studentNumber)}. ${escapeHtml(m.name)}</option>`).join('');
+
+    openModal(`
+        <h2 class="text-xl font-bold mb-4 text-white">当番表の書き出し</h2>
+        <div class="space-y-3 text-sm text-gray-300">
+            <div class="flex items-center gap-2">
+                期間
+                <input id="export-from" type="date" value="${localDateValue(from)}" class="bg-gray-900 border border-gray-600 rounded px-1 text-white">
+                〜
+                <input id="export-to" type="date" value="${localDateValue(to)}" class="bg-gray-900 border border-gray-600 rounded px-1 text-white">
+            </div>
+            <div class="flex items-center gap-2">
+                対象
+                <select id="export-member" class="bg-gray-900 border border-gray-600 rounded px-1 text-white">
+                    <option value="">クラス全体</option>
+                    ${memberOptions}
+                </select>
+            </div>
+            <p class="text-xs text-gray-500">
+                カレンダー (.ics) はスマートフォンのカレンダーに取り込めます。同じ期間をもう一度取り込むと、重複せずに更新されます。
+            </p>
+        </div>
+        <div class="flex gap-2 mt-6">
+            <button onclick="exportSchedule('csv')" class="flex-1 bg-indigo-600 hover:bg-indigo-500 py-2 rounded text-white font-bold">CSV</button>
+            <button onclick="exportSchedule('ics')" class="flex-1 bg-indigo-600 hover:bg-indigo-500 py-2 rounded text-white font-bold">カレンダー (.ics)</button>
+        </div>
+        <button onclick="closeModal()" class="w-full mt-2 py-2 rounded text-gray-400 hover:bg-white/5 text-sm">閉じる</button>
+    `);
 }
 
-function importData(input) {
-    const file = input.files[0];
-    if (!file) return;
+function exportSchedule(format) {
+    const fromValue = document.getElementById('export-from').value;
+    const toValue = document.getElementById('export-to').value;
+    const memberId = document.getElementById('export-member').value || null;
+    if (!fromValue || !toValue || toValue < fromValue) {
+        alert('期間を正しく入力してください');
+        return;
+    }
 
-    const reader = new FileReader();
-    reader.onload = function (e) {
-        try {
-            const data = JSON.parse(e.target.result);
-            // Basic validation
-            if (!data.members || !data.pointers) {
-                throw new Error('Invalid format');
-            }
+    const schedule = engine.simulateRange(parseLocalDate(fromValue), parseLocalDate(toValue));
+    const className = currentWorkspace().name;
+    const who = memberId ? state.memberName(memberId) : className;
+    const filename = `当番_${who}_${fromValue}_${toValue}`;
 
-            // Restore
-            state.members = data.members;
-            state.pointers = data.pointers;
-            state.debts = data.debts || {};
-            state.settings = data.settings || state.settings;
-            state.save();
-
-            alert('データを復元しました。ページをリロードします。');
-            location.reload();
-        } catch (err) {
-            alert('ファイルの読み込みに失敗しました: ' + err.message);
-        }
-    };
-    reader.readAsText(file);
+    if (format === 'ics') {
+        const calendarName = memberId ? `${className} ${who}の当番` : `${className} 当番表`;
+        downloadFile(`${filename}.ics`, scheduleToIcs(state, schedule, { memberId, calendarName }), 'text/calendar');
+    } else {
+        // BOM so Excel opens the Japanese text correctly
+        downloadFile(`${filename}.csv`, '\uFEFF' + scheduleToCsv(state, schedule, { memberId }), 'text/csv');
+    }
+}
+
+// --- Announcement ---
+// The day's duties as a message (announcement.js) to copy, or to post to a chat webhook. A class
+// connected to a shared server is posted by the server (even with every browser closed); otherwise
+// the editor posts at the set time while it is open (not the board, see startBoard).
+// Without a server the last posted date and a short log live under storageKeys.announce.
+// The webhook's token is not class data (see takeWebhookToken): it is kept on this device under
+// storageKeys.webhookToken, or only on the server for a connected class.
+
+const ANNOUNCE_CHECK = 60 * 1000;
+const ANNOUNCE_GRACE = 30; // Minutes after the set time the page still posts (opened late)
+const ANNOUNCE_LOG_LIMIT = 20;
+const WEBHOOK_TIMEOUT = 10 * 1000; // ms a webhook may take to answer
+
+function announcementDay(dateKey) {
+    const date = parseLocalDate(dateKey);
+    return engine.simulateRange(date, date)[0];
+}
+
+function readWebhookToken() {
+    return localStorage.getItem(state.storageKeys.webhookToken) || '';
+}
+
+function readAnnouncementLog() {
+    return JSON.parse(localStorage.getItem(state.storageKeys.announce) || 'null') || { announcedOn: null, log: [] };
+}
+
+function writeAnnouncementLog(data) {
+    localStorage.setItem(state.storageKeys.announce, JSON.stringify({ ...data, log: data.log.slice(0, ANNOUNCE_LOG_LIMIT) }));
+}
+
+function showAnnouncementModal() {
+    const settings = state.settings.announcement;
+    const webhook = settings.webhook;
+    const placeholders = Object.keys(ANNOUNCE_PLACEHOLDERS).concat(state.settings.roles.map(r => r.name))
+        .map(key => `<button onclick="insertPlaceholder(this.dataset.key)" data-key="${escapeHtml(key)}" title="${ANNOUNCE_PLACEHOLDERS[key] || '担当者の名前'}" class="px-2 py-0.5 rounded bg-gray-700 hover:bg-gray-600 font-mono">{${escapeHtml(key)}}</button>`)
+        .join('');
+    const formatOptions = Object.entries(CONFIG.webhookFormats)
+        .map(([value, label]) => `<option value="${value}" ${webhook.format === value ? 'selected' : ''}>${label}</option>`).join('');
+    const sender = state.remote
+        ? `共有サーバーが、毎朝この時刻に送信します（ブラウザを閉じていても送られます）。`
+        : `この編集画面を開いているあいだ、毎朝この時刻に送信します（掲示モードの画面からは送りません）。`;
+    // The server never sends its token back: the field only replaces it
+    const tokenField = state.remote
+        ? `value="" placeholder="サーバーに保存されます（変更するときだけ入力。空欄にすると削除）"`
+        : `value="${escapeHtml(readWebhookToken())}" placeholder="LINE のチャネルアクセストークンなど (不要なら空欄。この PC だけに保存)"`;
+
+    openModal(`
+        <h2 class="text-xl font-bold mb-4 text-white">お知らせ文</h2>
+        <div class="grid grid-cols-2 gap-4 text-sm text-gray-300">
+            <div>
+                <label class="block text-xs text-gray-400 mb-1">文面</label>
+                <textarea id="announce-template" rows="8" oninput="renderAnnouncementPreview()" onchange="changeAnnouncementTemplate(this.value)"
+                    class="w-full bg-gray-900 border border-gray-600 rounded p-2 text-white font-mono text-xs"></textarea>
+                <div class="flex flex-wrap gap-1 mt-1 text-xs">${placeholders}</div>
+                <button onclick="changeAnnouncementTemplate(null)" class="text-xs text-gray-400 hover:text-white mt-2">標準の文面に戻す</button>
+            </div>
+            <div>
+                <div class="flex items-center gap-2 mb-1 text-xs text-gray-400">
+                    プレビュー
+                    <input id="announce-date" type="date" value="${localDateValue(new Date())}" onchange="renderAnnouncementPreview()" class="bg-gray-900 border border-gray-600 rounded px-1 text-white">
+                </div>
+                <pre id="announce-preview" class="bg-gray-900 border border-gray-700 rounded p-2 text-xs text-white whitespace-pre-wrap min-h-[10rem]"></pre>
+                <button onclick="copyAnnouncement()" class="w-full mt-2 bg-indigo-600 hover:bg-indigo-500 py-1.5 rounded text-white font-bold">📋 コピー</button>
+            </div>
+        </div>
+
+        <h3 class="text-sm font-bold text-gray-300 mt-5 mb-2">チャットへの自動送信 (Webhook)</h3>
+        <div class="grid grid-cols-[auto_1fr] items-center gap-2 text-xs text-gray-300">
+            <label class="text-gray-400">送信先 URL</label>
+            <input type="url" value="${escapeHtml(webhook.url)}" onchange="changeWebhook('url', this.value.trim())" placeholder="https://hooks.slack.com/services/..." class="bg-gray-900 border border-gray-600 rounded px-2 py-1 text-white">
+            <label class="text-gray-400">形式</label>
+            <select onchange="changeWebhook('format', this.value)" class="bg-gray-900 border border-gray-600 rounded px-2 py-1 text-white">${formatOptions}</select>
+            <label class="text-gray-400">トークン</label>
+            <input type="password" ${tokenField} onchange="changeWebhookToken(this.value.trim())" class="bg-gray-900 border border-gray-600 rounded px-2 py-1 text-white">
+            <label class="text-gray-400">毎朝</label>
+            <div class="flex items-center gap-3">
+                <input type="time" value="${webhook.time || ''}" onchange="changeWebhook('time', this.value || null)" class="bg-gray-900 border border-gray-600 rounded px-1 text-white">
+                <label class="flex items-center gap-1"><input type="checkbox" ${webhook.enabled ? 'checked' : ''} onchange="changeWebhook('enabled', this.checked)"> 自動送信する</label>
+            </div>
+        </div>
+        <p class="text-xs text-gray-500 mt-2">${sender}休みの日は送りません。</p>
+        <div class="flex gap-2 mt-3">
+            <button onclick="sendAnnouncement(true)" title="送信せずに、送る内容だけを記録します" class="flex-1 bg-gray-700 hover:bg-gray-600 py-1.5 rounded text-white text-sm">ドライラン</button>
+            <button onclick="sendAnnouncement(false)" class="flex-1 bg-indigo-600 hover:bg-indigo-500 py-1.5 rounded text-white text-sm font-bold">この日の分をテスト送信</button>
+        </div>
+        <h3 class="text-sm font-bold text-gray-300 mt-5 mb-2">送信記録</h3>
+        <div id="announce-log" class="max-h-48 overflow-y-auto text-xs"></div>
+        <button onclick="closeModal()" class="w-full mt-4 py-2 rounded text-gray-400 hover:bg-white/5 text-sm">閉じる</button>
+    `, true);
+    // Set as values (not markup): templates may contain < and &
+    document.getElementById('announce-template').value = settings.template || defaultAnnouncementTemplate(state.settings.roles);
+    renderAnnouncementPreview();
+    renderAnnouncementLog();
+}
+
+// Previews the text being typed, before it is saved
+function renderAnnouncementPreview() {
+    const preview = document.getElementById('announce-preview');
+    if (!preview) return;
+    const dateKey = document.getElementById('announce-date').value || localDateValue(new Date());
+    const template = document.getElementById('announce-template').value;
+    const text = announcementText({ ...state, settings: { ...state.settings, announcement: { ...state.settings.announcement, template } } },
+        announcementDay(dateKey), { className: currentWorkspace().name });
+    preview.textContent = text === null ? '（休みの日です）' : text;
+}
+
+function insertPlaceholder(key) {
+    const textarea = document.getElementById('announce-template');
+    const at = textarea.selectionStart ?? textarea.value.length;
+    textarea.value = `${textarea.value.slice(0, at)}{${key}}${textarea.value.slice(textarea.selectionEnd ?? at)}`;
+    textarea.focus();
+    changeAnnouncementTemplate(textarea.value);
+}
+
+// null (or the default text itself) keeps following the roles as they are renamed or added
+function changeAnnouncementTemplate(template) {
+    const next = template === null || template === defaultAnnouncementTemplate(state.settings.roles) ? null : template;
+    if (next === state.settings.announcement.template) return;
+    state.record(next === null ? 'お知らせを標準の文面に戻す' : 'お知らせの文面を変更', () => {
+        state.settings.announcement.template = next;
+    });
+    renderHistoryButtons();
+    if (next === null) document.getElementById('announce-template').value = defaultAnnouncementTemplate(state.settings.roles);
+    renderAnnouncementPreview();
+}
+
+function changeWebhook(field, value) {
+    if (state.settings.announcement.webhook[field] === value) return;
+    const labels = {
+        url: 'お知らせの送信先を変更',
+        format: 'お知らせの送信形式を変更',
+        time: value ? `お知らせを ${value} に送信` : 'お知らせの送信時刻を解除',
+        enabled: value ? 'お知らせの自動送信を開始' : 'お知らせの自動送信を停止'
+    };
+    state.record(labels[field], () => {
+        state.settings.announcement.webhook[field] = value;
+    });
+    renderHistoryButtons();
+}
+
+// Not an edit of the class data (nothing to undo, not exported): stored on this device, or
+// handed to the server, which posts for a connected class
+async function changeWebhookToken(token) {
+    if (!state.remote) {
+        if (token) localStorage.setItem(state.storageKeys.webhookToken, token);
+        else localStorage.removeItem(state.storageKeys.webhookToken);
+        return;
+    }
+    try {
+        const response = await state.remote.request('PUT', { token }, {}, '/webhook-token');
+        const body = await response.json().catch(() => ({}));
+        if (!response.ok) throw new Error(body.error || `HTTP ${response.status}`);
+    } catch (e) {
+        alert(`トークンをサーバーに保存できません: ${e.message}`);
+    }
+}
+
+async function copyAnnouncement() {
+    const text = document.getElementById('announce-preview').textContent;
+    try {
+        await navigator.clipboard.writeText(text);
+        alert('コピーしました');
+    } catch (e) {
+        alert('コピーできませんでした。プレビューの文章を選択してコピーしてください。');
+    }
+}
+
+// Posts (or, dry run, only records) the announcement for `dateKey`; returns the log entry.
+// Connected classes go through the server, which also keeps the log.
+async function postAnnouncement(dateKey, dryRun) {
+    if (state.remote) {
+        const response = await state.remote.request('POST', { date: dateKey, dryRun }, {}, '/announcement');
+        const body = await response.json().catch(() => ({}));
+        if (!response.ok) throw new Error(body.error || `HTTP ${response.status}`);
+        return body;
+    }
+
+    const day = announcementDay(dateKey);
+    const text = announcementText(state, day, { className: currentWorkspace().name });
+    const webhook = state.settings.announcement.webhook;
+    const request = text === null || !webhook.url ? null : webhookRequest({ ...webhook, token: readWebhookToken() }, text, day, state);
+    const entry = { at: new Date().toISOString(), date: dateKey, dryRun, status: null, error: null, text, request };
+    if (text === null) entry.error = '休みの日です';
+    else if (!request) entry.error = '送信先 (webhook) が設定されていません';
+    else if (!dryRun) {
+        try {
+            const response = await fetch(request.url, { method: 'POST', headers: request.headers, body: request.body, signal: AbortSignal.timeout(WEBHOOK_TIMEOUT) });
+            entry.status = response.status;
+            if (!response.ok) entry.error = `HTTP ${response.status}`;
+        } catch (e) {
+            // Also what browsers report when the service doesn't allow posts from web pages (CORS)
+            entry.error = '送信できません（送信先が見つからないか、ブラウザからの送信を受け付けていません）';
+        }
+    }
+    if (request && request.headers.Authorization) request.headers.Authorization = 'Bearer ********';
+
+    const data = readAnnouncementLog();
+    data.log.unshift(entry);
+    writeAnnouncementLog(data);
+    return entry;
+}
+
+async function sendAnnouncement(dryRun) {
+    const dateKey = document.getElementById('announce-date').value || localDateValue(new Date());
+    if (!dryRun && !confirm(`${dateLabel(dateKey)} のお知らせを送信しますか？`)) return;
+    try {
+        const entry = await postAnnouncement(dateKey, dryRun);
+        if (entry.error) alert(entry.error);
+    } catch (e) {
+        alert(`送信できません: ${e.message}`);
+    }
+    renderAnnouncementLog();
+}
+
+async function renderAnnouncementLog() {
+    const container = document.getElementById('announce-log');
+    if (!container) return;
+    let log = readAnnouncementLog().log;
+    if (state.remote) {
+        try {
+            const response = await state.remote.request('GET', undefined, {}, '/announcement');
+            log = response.ok ? (await response.json()).log : [];
+        } catch (e) {
+            container.innerHTML = '<p class="text-gray-500">サーバーに接続できません</p>';
+            return;
+        }
+    }
+    if (log.length === 0) {
+        container.innerHTML = '<p class="text-gray-500">まだありません</p>';
+        return;
+    }
+    container.innerHTML = log.map((entry, i) => {
+        const at = new Date(entry.at);
+        const result = entry.error
+            ? `<span class="text-red-400">${escapeHtml(entry.error)}</span>`
+            : entry.dryRun ? '<span class="text-amber-300">ドライラン</span>' : `<span class="text-green-400">送信済み (${entry.status})</span>`;
+        return `
+            <details class="border-b border-gray-700 py-1">
+                <summary class="cursor-pointer text-gray-300">${at.getMonth() + 1}/${at.getDate()} ${at.toTimeString().slice(0, 5)} ・ ${escapeHtml(entry.date)} の分 ・ ${result}</summary>
+                <pre id="announce-log-${i}" class="bg-gray-900 rounded p-2 mt-1 text-gray-400 whitespace-pre-wrap"></pre>
+            </details>`;
+    }).join('');
+    log.forEach((entry, i) => {
+        document.getElementById(`announce-log-${i}`).textContent = entry.request
+            ? `POST ${entry.request.url}\n${Object.entries(entry.request.headers).map(([k, v]) => `${k}: ${v}`).join('\n')}\n\n${entry.request.body}`
+            : entry.text || '';
+    });
+}
+
+// Without a server: post once a day when the set time has come, while this page is open
+function startAnnouncements() {
+    const check = () => {
+        const webhook = state.settings.announcement.webhook;
+        if (state.remote || !webhook.enabled || !webhook.url || !webhook.time) return;
+        const now = new Date();
+        const today = localDateValue(now);
+        const [hours, minutes] = webhook.time.split(':').map(Number);
+        const late = now.getHours() * 60 + now.getMinutes() - (hours * 60 + minutes);
+        const data = readAnnouncementLog();
+        if (late < 0 || late > ANNOUNCE_GRACE || data.announcedOn === today) return;
+
+        // Marked first, so other tabs of the same class don't post it too
+        writeAnnouncementLog({ ...data, announcedOn: today });
+        if (!announcementDay(today).isHoliday) postAnnouncement(today, false);
+    };
+    setInterval(check, ANNOUNCE_CHECK);
+    check();
+}
+
+// --- Board (Kiosk) ---
+// index.html?board (or ?board=<class id or name>) is a full-screen, read-only board for the
+// classroom screen: the current school day and the next one in large type, with absentees and
+// the turns members are owed. The clock redraws every minute; the days are worked out again only
+// when the date changes (so it rolls over at midnight by itself) or the data does: edits made in
+// other tabs (storage event) or on other PCs (shared server). It doesn't post announcements.
+const BOARD_REFRESH = 60 * 1000;
+const BOARD_LOOKAHEAD = 120; // Days searched for the next school days (covers summer holidays)
+const BOARD_STEP = 7; // Days simulated at a time while searching
+
+let boardBody = null; // { key, html }: the days shown, for the date `key`
+
+function isBoardMode() {
+    return new URLSearchParams(location.search).has('board');
+}
+
+// Runs before the state is loaded. The choice is not saved: the editor keeps its own class.
+function selectBoardWorkspace() {
+    const wanted = new URLSearchParams(location.search).get('board');
+    if (!wanted) return;
+    const ws = workspaces.list.find(w => w.id === wanted || w.name === wanted);
+    if (ws) workspaces.current = ws.id;
+}
+
+function openBoard() {
+    window.open(`${location.pathname}?board=${encodeURIComponent(workspaces.current)}`, '_blank');
+}
+
+function startBoard() {
+    document.body.classList.add('board-mode');
+    document.getElementById('board').classList.remove('hidden');
+    renderBoard();
+    setInterval(renderBoard, BOARD_REFRESH);
+    window.addEventListener('storage', e => {
+        if (e.key !== state.storageKeys.state) return;
+        state.load();
+        engine.invalidateFrom();
+        boardBody = null;
+        renderBoard();
+    });
+    if (state.remote) {
+        const update = state.remote.onUpdate;
+        state.remote.onUpdate = () => {
+            update();
+            boardBody = null;
+            renderBoard();
+        };
+    }
+}
+
+function toggleBoardFullscreen() {
+    if (document.fullscreenElement) document.exitFullscreen();
+    else document.documentElement.requestFullscreen();
+}
+
+function boardDateLabel(day) {
+    return `${day.date.getMonth() + 1}月${day.date.getDate()}日 (${WEEKDAY_LABELS[day.date.getDay()]})`;
+}
+
+function boardDay(day, heading, large) {
+    const names = ids => escapeHtml(ids.map(id => state.memberName(id)).join('・'));
+    const roles = state.roles.map(role => {
+        const assigned = day.assignments[role.id] || [];
+        const value = role.type === 'clean' && day.noCleaning
+            ? `<span class="text-gray-500">掃除なし${day.label ? ` (${escapeHtml(day.label)})` : ''}</span>`
+            : assigned.length > 0 ? names(assigned) : '<span class="text-gray-600">-</span>';
+        return `
+            <div class="flex items-baseline gap-6 py-2 border-b border-gray-800">
+                <div class="${escapeHtml(role.style)} ${large ? 'text-3xl w-48' : 'text-xl w-32'} font-bold shrink-0">${escapeHtml(role.name)}</div>
+                <div class="${large ? 'text-6xl' : 'text-3xl'} font-bold text-white">${value}</div>
+            </div>
+        `;
+    }).join('');
+
+    const absent = day.manualAbsentees
+        .concat(day.plannedAbsences.filter(p => p.type === 'leave').map(p => p.memberId));
+    return `
+        <section class="${large ? 'flex-[3]' : 'flex-[2]'} min-w-0 bg-gray-900/80 border border-gray-700 rounded-2xl p-8">
+            <div class="flex items-baseline gap-4 mb-4">
+                <span class="${large ? 'text-2xl text-amber-300' : 'text-xl text-gray-400'} font-bold">${heading}</span>
+                <span class="${large ? 'text-4xl' : 'text-2xl'} font-bold">${boardDateLabel(day)}</span>
+            </div>
+            ${roles}
+            <div class="mt-4 text-xl text-gray-300">欠席: ${absent.length > 0 ? `<span class="text-red-300 font-bold">${names(absent)}</span>` : 'なし'}</div>
+        </section>
+    `;
+}
+
+// Members owed turns when the first shown day starts: "山田 2 (日直・掃除)"
+function boardDebts(day) {
+    const before = new Date(day.date);
+    before.setDate(before.getDate() - 1);
+    const { debts } = engine.stateAfter(before);
+    const owed = state.members.filter(m => m.active).map(m => {
+        const keys = Object.keys(debts[m.id] || {}).filter(key => debts[m.id][key] > 0);
+        const total = keys.reduce((sum, key) => sum + debts[m.id][key], 0);
+        return { member: m, total, roles: keys.map(pointerLabel).join('・') };
+    }).filter(o => o.total > 0);
+    if (owed.length === 0) return '';
+    return `
+        <div class="mt-6 text-xl text-gray-300">
+            <span class="font-bold text-gray-400 mr-2">次に優先して回る人（負債）:</span>
+            ${owed.map(o => `<span class="inline-block mr-4">${escapeHtml(o.member.name)} <span class="text-amber-300 font-bold">${o.total}</span> <span class="text-sm text-gray-500">(${escapeHtml(o.roles)})</span></span>`).join('')}
+        </div>
+    `;
+}
+
+// The first two school days from `today`, a week at a time: the whole lookahead is only
+// simulated over long holidays
+function boardSchoolDays(today) {
+    const days = [];
+    for (let offset = 0; offset < BOARD_LOOKAHEAD && days.length < 2; offset += BOARD_STEP) {
+        const from = new Date(today);
+        from.setDate(from.getDate() + offset);
+        const to = new Date(today);
+        to.setDate(to.getDate() + Math.min(offset + BOARD_STEP, BOARD_LOOKAHEAD + 1) - 1);
+        if (engine.dayIndex(to) < 0) continue; // Before the roster starts
+        days.push(...engine.simulateRange(from, to).filter(day => !day.isHoliday));
+    }
+    return days.slice(0, 2);
+}
+
+function boardDays(today) {
+    const days = state.members.length > 0 ? boardSchoolDays(today) : [];
+    if (days.length === 0) return '<p class="text-3xl text-gray-500 text-center mt-24">しばらく当番はありません</p>';
+    const first = engine.dayIndex(days[0].date) === engine.dayIndex(today) ? '今日' : '次の登校日';
+    return `
+        <div class="flex gap-6 items-start">
+            ${boardDay(days[0], first, true)}
+            ${days[1] ? boardDay(days[1], 'その次', false) : ''}
+        </div>
+        ${boardDebts(days[0])}
+    `;
+}
+
+function renderBoard() {
+    const board = document.getElementById('board');
+    if (!board) return;
+    const now = new Date();
+    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    const clock = `${now.getHours()}:${String(now.getMinutes()).padStart(2, '0')}`;
+
+    const key = localDateValue(today);
+    if (!boardBody || boardBody.key !== key) boardBody = { key, html: boardDays(today) };
+    const body = boardBody.html;
+
+    board.innerHTML = `
+        <div class="flex items-baseline justify-between mb-6">
+            <h1 class="text-3xl font-bold text-gray-200">${escapeHtml(currentWorkspace().name)} 当番表</h1>
+            <div class="text-3xl font-mono text-gray-300">${now.getMonth() + 1}/${now.getDate()} ${clock}</div>
+        </div>
+        ${body}
+        <div class="fixed bottom-3 right-4 flex gap-3 text-xs text-gray-600">
+            <button onclick="toggleBoardFullscreen()" class="hover:text-gray-300">⛶ 全画面</button>
+            <a href="${location.pathname}" class="hover:text-gray-300">編集画面へ</a>
+        </div>
+    `;
+}
+
+// --- Actions ---
+
+// Confirmed days are frozen; every edit to them has to go through unlockDay first
+function guardLocked(dateKey) {
+    if (!state.isLocked(dateKey)) return false;
+    alert('確定済みの日です。変更するには先に🔒ボタンで確定を解除してください。');
+    return true;
+}
+
+// "2024-10-21" -> "10/21", for undo labels
+function dateLabel(dateKey) {
+    const [, m, d] = dateKey.split('-').map(Number);
+    return `${m}/${d}`;
+}
+
+function daySettingsFor(dateKey, settings = state.settings) {
+    if (!settings.daySettings[dateKey]) settings.daySettings[dateKey] = {};
+    return settings.daySettings[dateKey];
+}
+
+// One schedule edit: `change(ds)` sets that day's settings to the new value. It is saved as an
+// undoable step, or in draft mode only added to the draft. Changes must not depend on what
+// the day held before, as a draft replays them on top of whatever is saved when it is applied.
+function editDay(dateKey, label, change) {
+    if (draft) {
+        draft.edits.push({ dateKey, label, change });
+        draft.engine = null;
+    } else {
+        state.record(label, () => change(daySettingsFor(dateKey)));
+        engine.invalidateFrom(dateKey);
+    }
+    renderSchedule();
+}
+
+// Flips a per-day flag relative to what the day currently shows. An override that
+// matches the school calendar is dropped, so later calendar edits still apply to that day.
+function toggleDayFlag(dateKey, flag, label) {
+    const shown = scheduleEngine();
+    const calendarValue = shown.calendarDay(shown.dateForKey(dateKey))[flag];
+    const next = !(shown.state.settings.daySettings[dateKey]?.[flag] ?? calendarValue);
+    editDay(dateKey, `${dateLabel(dateKey)} ${label(next)}`, ds => {
+        if (next === calendarValue) delete ds[flag];
+        else ds[flag] = next;
+    });
+}
+
+function toggleHoliday(dateKey) {
+    if (guardLocked(dateKey)) return;
+    toggleDayFlag(dateKey, 'isHoliday', isHoliday => (isHoliday ? '休日' : '休日解除'));
+}
+
+function toggleNoCleaning(dateKey) {
+    if (guardLocked(dateKey)) return;
+    toggleDayFlag(dateKey, 'noCleaning', noCleaning => (noCleaning ? '掃除なし' : '掃除あり'));
+}
+
+function toggleAbsent(dateKey, memberId) {
+    if (guardLocked(dateKey)) return;
+    const absent = (scheduleEngine().state.settings.daySettings[dateKey]?.absentees || []).includes(memberId);
+    editDay(dateKey, `${dateLabel(dateKey)} ${state.memberName(memberId)} ${absent ? '欠席取消' : '欠席'}`, ds => {
+        const absentees = (ds.absentees || []).filter(id => id !== memberId);
+        ds.absentees = absent ? absentees : [...absentees, memberId];
+    });
+}
+
+// Put memberId into one slot of a role for a day (交代). Someone already holding another slot
+// of the same role trades places instead, so nobody appears twice.
+function overrideSlot(dateKey, roleId, slot, memberId) {
+    if (guardLocked(dateKey)) return;
+    const date = engine.dateForKey(dateKey);
+    const assigned = [...(scheduleEngine().simulateRange(date, date)[0].assignments[roleId] || [])];
+    const previous = assigned[slot];
+    if (previous === memberId) return;
+    const other = assigned.indexOf(memberId);
+    if (other >= 0) assigned[other] = previous;
+    assigned[slot] = memberId;
+
+    const role = state.roles.find(r => r.id === roleId);
+    closeTrace();
+    editDay(dateKey, `${dateLabel(dateKey)} ${role.name} 交代 ${state.memberName(previous)} → ${state.memberName(memberId)}`, ds => {
+        ds.overrides = { ...(ds.overrides || {}), [roleId]: assigned };
+    });
+}
+
+function clearOverride(dateKey, roleId) {
+    if (guardLocked(dateKey)) return;
+    const role = state.roles.find(r => r.id === roleId);
+    closeTrace();
+    editDay(dateKey, `${dateLabel(dateKey)} ${role.name} 交代取消`, ds => {
+        if (!ds.overrides) return;
+        delete ds.overrides[roleId];
+        if (Object.keys(ds.overrides).length === 0) delete ds.overrides;
+    });
+}
+
+// --- Draft (What-if) ---
+// In draft mode, schedule edits (absences, 休/掃, 交代) are collected instead of saved. The schedule
+// shows the proposed result from a copy of the state with the edits replayed on it, with every cell
+// that differs from the saved schedule marked; 比較 lists the changed days and debts side by side.
+// The whole batch is then applied as one undoable step, or discarded. Drafts are not stored.
+let draft = null; // { edits: [{ dateKey, label, change }], engine, base }
+
+// The engine behind what the schedule shows: the draft's in draft mode, else the saved state's
+function scheduleEngine() {
+    return draft ? draftEngine() : engine;
+}
+
+// Rebuilt after each draft edit, and whenever the saved state underneath has changed
+function draftEngine() {
+    const base = engine.configSignature() + JSON.stringify(state.settings.daySettings);
+    if (!draft.engine || draft.base !== base) {
+        const copy = JSON.parse(JSON.stringify({
+            members: state.members,
+            pointers: state.pointers,
+            debts: state.debts,
+            settings: state.settings,
+            ledger: state.ledger
+        }));
+        draft.edits.forEach(edit => edit.change(daySettingsFor(edit.dateKey, copy.settings)));
+        draft.engine = new RosterEngine(copy);
+        draft.base = base;
+    }
+    return draft.engine;
+}
+
+function toggleDraft() {
+    if (draft) discardDraft();
+    else startDraft();
+}
+
+function startDraft() {
+    draft = { edits: [], engine: null, base: null };
+    renderSchedule();
+}
+
+function discardDraft() {
+    if (draft.edits.length > 0 && !confirm(`下書きの変更 ${draft.edits.length} 件を破棄しますか？`)) return;
+    draft = null;
+    closeModal();
+    renderSchedule();
+}
+
+function applyDraft() {
+    const edits = draft.edits;
+    draft = null;
+    if (edits.length > 0) {
+        state.record(`下書きを適用 (${edits.length}件)`, () => {
+            edits.forEach(edit => edit.change(daySettingsFor(edit.dateKey)));
+        });
+        engine.invalidateFrom(edits.map(edit => edit.dateKey).sort()[0]);
+    }
+    closeModal();
+    renderSchedule();
+}
+
+function renderDraftBar() {
+    const bar = document.getElementById('draft-bar');
+    const button = document.getElementById('draft-button');
+    if (button) button.classList.toggle('border-amber-500', !!draft);
+    if (!bar) return;
+    bar.classList.toggle('hidden', !draft);
+    if (!draft) return;
+
+    const labels = escapeHtml(draft.edits.map(edit => edit.label).join('、'));
+    bar.innerHTML = `
+        <span class="font-bold text-amber-300">🧪 下書き</span>
+        <span class="flex-1 text-gray-300">${draft.edits.length > 0 ? `${draft.edits.length} 件の変更: ${labels}` : '欠席・休・掃・交代の変更は、適用するまで保存されません。変わったところは枠で示されます。'}</span>
+        <button onclick="showDraftDiff()" ${draft.edits.length === 0 ? 'disabled' : ''} class="px-3 py-1 rounded border border-gray-600 hover:bg-gray-700 disabled:opacity-30">比較</button>
+        <button onclick="applyDraft()" ${draft.edits.length === 0 ? 'disabled' : ''} class="px-3 py-1 rounded bg-amber-600 hover:bg-amber-500 text-white font-bold disabled:opacity-30">適用</button>
+        <button onclick="discardDraft()" class="px-3 py-1 rounded text-gray-400 hover:bg-white/5">破棄</button>
+    `;
+}
+
+// What differs between two results for the same day: 'day' (holiday / no cleaning),
+// 'absent' (manual absentees) and the ids of roles assigned differently
+function changedCells(before, after) {
+    const same = (a, b) => (a || []).join() === (b || []).join();
+    const changes = [];
+    if (before.isHoliday !== after.isHoliday || before.noCleaning !== after.noCleaning) changes.push('day');
+    if (!same(before.manualAbsentees, after.manualAbsentees)) changes.push('absent');
+    state.roles.forEach(role => {
+        if (!same(before.assignments[role.id], after.assignments[role.id])) changes.push(role.id);
+    });
+    return changes;
+}
+
+// Tooltip of a changed cell in draft mode: who had it before
+function describeChange(savedDay, day, roleId) {
+    if (!savedDay) return '';
+    const before = savedDay.assignments[roleId] || [];
+    if (before.join() === (day.assignments[roleId] || []).join()) return '';
+    return `変更前: ${before.length > 0 ? before.map(id => state.memberName(id)).join('・') : 'なし'}`;
+}
+
+function describeDayCell(day, roleId) {
+    if (day.isHoliday) return `<span class="text-red-400/70">休み${day.label ? `: ${escapeHtml(day.label)}` : ''}</span>`;
+    const role = state.roles.find(r => r.id === roleId);
+    if (role.type === 'clean' && day.noCleaning) return '<span class="text-gray-500">掃除なし</span>';
+    const ids = day.assignments[roleId] || [];
+    return ids.length > 0 ? escapeHtml(ids.map(id => state.memberName(id)).join('・')) : '<span class="text-gray-600">-</span>';
+}
+
+// Saved vs draft, side by side: every changed cell from the first edited day to `toValue`
+// (default: end of the month after the last edit), then the debts at the end of that range
+function showDraftDiff(toValue = null) {
+    const keys = draft.edits.map(edit => edit.dateKey).sort();
+    const from = engine.dateForKey(keys[0]);
+    const lastEdit = parseLocalDate(keys[keys.length - 1]);
+    const to = toValue ? parseLocalDate(toValue) : new Date(lastEdit.getFullYear(), lastEdit.getMonth() + 2, 0);
+    const saved = engine.simulateRange(from, to);
+    const proposed = draftEngine().simulateRange(from, to);
+
+    const rows = [];
+    saved.forEach((before, i) => {
+        const after = proposed[i];
+        const changes = changedCells(before, after);
+        if (changes.includes('day') || changes.includes('absent')) {
+            const absent = day => escapeHtml(day.manualAbsentees.map(id => state.memberName(id)).join('・')) || '-';
+            const status = day => (day.isHoliday ? '休み' : day.noCleaning ? '掃除なし' : '授業');
+            rows.push([before.key, '日の設定', `${status(before)} / 欠席: ${absent(before)}`, `${status(after)} / 欠席: ${absent(after)}`]);
+        }
+        state.roles.filter(role => changes.includes(role.id)).forEach(role => {
+            rows.push([before.key, escapeHtml(role.name), describeDayCell(before, role.id), describeDayCell(after, role.id)]);
+        });
+    });
+
+    const debtsBefore = engine.stateAfter(to).debts;
+    const debtsAfter = draftEngine().stateAfter(to).debts;
+    const debtRows = [];
+    state.members.forEach(m => {
+        state.pointerKeys().forEach(key => {
+            const a = (debtsBefore[m.id] || {})[key] || 0;
+            const b = (debtsAfter[m.id] || {})[key] || 0;
+            if (a !== b) debtRows.push(`<tr><td class="p-1">${escapeHtml(m.name)}</td><td class="p-1">${escapeHtml(pointerLabel(key))}</td><td class="p-1 text-right">${a}</td><td class="p-1 text-right text-amber-300 font-bold">${b}</td></tr>`);
+        });
+    });
+
+    const cell = 'p-1 border-b border-gray-800';
+    const scheduleTable = rows.length > 0 ? `
+        <table class="w-full text-sm">
+            <thead><tr class="text-gray-400 text-xs text-left"><th class="p-1">日付</th><th class="p-1">役割</th><th class="p-1">現在</th><th class="p-1">下書き</th></tr></thead>
+            <tbody>${rows.map(([key, what, before, after]) => `
+                <tr><td class="${cell} font-mono text-gray-400">${dateLabel(key)}</td><td class="${cell}">${what}</td><td class="${cell} text-gray-400">${before}</td><td class="${cell} text-amber-300 bg-amber-500/10">${after}</td></tr>
+            `).join('')}</tbody>
+        </table>
+    ` : '<p class="text-sm text-gray-500">この期間の当番に変わりはありません。</p>';
+    const debtTable = debtRows.length > 0 ? `
+        <table class="w-full text-sm">
+            <thead><tr class="text-gray-400 text-xs text-left"><th class="p-1">メンバー</th><th class="p-1">ポインタ</th><th class="p-1 text-right">現在</th><th class="p-1 text-right">下書き</th></tr></thead>
+            <tbody>${debtRows.join('')}</tbody>
+        </table>
+    ` : '<p class="text-sm text-gray-500">負債に変わりはありません。</p>';
+
+    openModal(`
+        <h2 class="text-xl font-bold mb-2 text-white">下書きの比較</h2>
+        <div class="flex items-center gap-2 text-sm text-gray-300 mb-4">
+            ${dateLabel(keys[0])} 〜
+            <input type="date" value="${localDateValue(to)}" onchange="showDraftDiff(this.value)" class="bg-gray-900 border border-gray-600 rounded px-1 text-white">
+            <span class="text-gray-500">（変わった ${rows.length} か所）</span>
+        </div>
+        <div class="max-h-[50vh] overflow-y-auto mb-4">${scheduleTable}</div>
+        <h3 class="text-sm font-bold text-gray-300 mb-2">${localDateValue(to)} 終了時点の負債</h3>
+        <div class="max-h-[20vh] overflow-y-auto">${debtTable}</div>
+        <div class="flex gap-2 mt-6">
+            <button onclick="applyDraft()" class="flex-1 bg-amber-600 hover:bg-amber-500 py-2 rounded text-white font-bold">適用する</button>
+            <button onclick="discardDraft()" class="flex-1 bg-gray-700 hover:bg-gray-600 py-2 rounded text-white text-sm">破棄する</button>
+            <button onclick="closeModal()" class="flex-1 py-2 rounded text-gray-400 hover:bg-white/5 text-sm">下書きを続ける</button>
+        </div>
+    `, true);
+}
+
+// --- Undo / Redo ---
+// In draft mode, undo takes back the last draft edit instead
+
+function undoEdit() {
+    if (draft) {
+        if (!draft.edits.pop()) return;
+        draft.engine = null;
+        renderSchedule();
+        return;
+    }
+    applyHistoryStep(state.undo());
+}
+
+function redoEdit() {
+    if (draft) return;
+    applyHistoryStep(state.redo());
+}
+
+function applyHistoryStep(label) {
+    if (label === null) return;
+    engine.invalidateFrom(); // Any day may have changed
+    renderApp();
+    renderPointerUI();
+}
+
+// Toolbar buttons show what they would undo/redo
+function renderHistoryButtons() {
+    const undoButton = document.getElementById('undo-button');
+    const redoButton = document.getElementById('redo-button');
+    if (!undoButton || !redoButton) return;
+
+    const nextUndo = draft ? draft.edits[draft.edits.length - 1] : state.history.undo[state.history.undo.length - 1];
+    const nextRedo = draft ? null : state.history.redo[state.history.redo.length - 1];
+    undoButton.disabled = !nextUndo;
+    redoButton.disabled = !nextRedo;
+    undoButton.title = nextUndo ? `元に戻す: ${nextUndo.label} (Ctrl+Z)` : '元に戻す操作はありません';
+    redoButton.title = nextRedo ? `やり直す: ${nextRedo.label} (Ctrl+Shift+Z)` : 'やり直す操作はありません';
+}
+
+document.addEventListener('keydown', e => {
+    if (!(e.ctrlKey || e.metaKey)) return;
+    // Text fields keep their own undo
+    if (['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) return;
+
+    const key = e.key.toLowerCase();
+    if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        undoEdit();
+    } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        redoEdit();
+    }
+});
+
+// Confirmed days can't take draft edits, so locking and unlocking wait until the draft is done
+function guardDraft() {
+    if (!draft) return false;
+    alert('下書きを適用するか破棄してから操作してください。');
+    return true;
+}
+
+function confirmDay(dateKey) {
+    if (guardDraft()) return;
+    if (!confirm(`${dateKey} までの当番を確定しますか？\n確定した日は、メンバーや設定を変更しても再計算されません。`)) return;
+    engine.confirmThrough(dateKey);
+    state.save();
+    renderSchedule();
+    renderPointerUI();
+    renderDebtList();
+}
+
+function confirmToday() {
+    confirmDay(engine.dateKey(new Date()));
+}
+
+function unlockDay(dateKey) {
+    if (guardDraft()) return;
+    if (!confirm(`${dateKey} 以降の確定を解除しますか？\nこの日以降の当番は現在の設定で再計算されます。`)) return;
+    state.unlockFrom(dateKey);
+    state.save();
+    renderSchedule();
+    renderPointerUI();
+    renderDebtList();
+}
+
+// --- Member Management ---
+
+function renderMemberList() {
+    const tbody = document.getElementById('member-list-body');
+    if (!tbody) return;
+    tbody.innerHTML = '';
+
+    state.members.forEach(m => {
+        const tr = document.createElement('tr');
+        tr.className = "border-b border-gray-800";
+        // Rows are dragged to reorder; the order is the rotation order
+        tr.draggable = true;
+        tr.ondragstart = event => event.dataTransfer.setData('text/plain', m.id);
+        tr.ondragover = event => event.preventDefault();
+        tr.ondrop = event => {
+            event.preventDefault();
+            moveMember(event.dataTransfer.getData('text/plain'), m.id);
+        };
+        tr.innerHTML = `
+            <td class="p-2 text-center text-gray-500 cursor-move" title="ドラッグで並べ替え">⋮⋮ ${escapeHtml(m.studentNumber)}</td>
+            <td class="p-2">
+                <input value="${escapeHtml(m.name)}" onchange="updateMemberName('${m.id}', this.value)" class="bg-transparent text-white border-b border-gray-700 focus:border-indigo-500 outline-none w-full">
+                <input value="${escapeHtml(m.kana)}" placeholder="ふりがな" onchange="updateMemberKana('${m.id}', this.value)" class="bg-transparent text-xs text-gray-500 border-b border-transparent focus:border-indigo-500 outline-none w-full">
+                ${describeMemberAttributes(m) ? `<div class="text-[10px] text-indigo-300 mt-0.5">${escapeHtml(describeMemberAttributes(m))}</div>` : ''}
+            </td>
+            <td class="p-2 text-center">
+                <button onclick="toggleMemberActive('${m.id}')" class="text-xs ${m.active ? 'text-green-400' : 'text-gray-600'}">${m.active ? '有効' : '無効'}</button>
+            </td>
+            <td class="p-2 text-center">
+                <button onclick="showAvailabilityModal('${m.id}')" class="text-xs ${availabilityCount(m) ? 'text-amber-300' : 'text-gray-600'} hover:text-white">📅 ${availabilityCount(m) || ''}</button>
+            </td>
+            <td class="p-2 text-center">
+                <button onclick="removeMember('${m.id}')" title="削除" class="p-1 px-2 text-xs text-red-400 hover:bg-red-400/10 rounded">✕</button>
+            </td>
+        `;
+        tbody.appendChild(tr);
+    });
+}
+
+function updateMemberName(memberId, newName) {
+    const m = state.memberById(memberId);
+    if (m) {
+        // Debts, absences and history refer to the member ID, so nothing else moves
+        state.record(`名前変更 ${m.name} → ${newName}`, () => {
+            m.name = newName;
+        });
+        renderSchedule();
+    }
+}
+
+function updateMemberKana(memberId, kana) {
+    const m = state.memberById(memberId);
+    if (m) {
+        state.record(`ふりがな変更 ${m.name}`, () => {
+            m.kana = kana;
+        });
+    }
+}
+
+function toggleMemberActive(memberId) {
+    const m = state.memberById(memberId);
+    if (m) {
+        state.record(`${m.name} ${m.active ? '無効化' : '有効化'}`, () => {
+            m.active = !m.active;
+        });
+        renderMemberList(); // Re-render to show status
+        renderSchedule(); // Re-calc schedule
+    }
+}
+
+// --- Member Roster Editing ---
+// The member order is the rotation order, so every change goes through state.setMembers,
+// which keeps pointers on the same people.
+
+function changeMembers(label, newMembers) {
+    state.record(label, () => state.setMembers(newMembers), { allLedgerPointers: true });
+    renderMemberList();
+    renderPointerUI();
+    renderDebtList();
+    renderSchedule();
+}
+
+function addMember() {
+    const nameInput = document.getElementById('new-member-name');
+    const kanaInput = document.getElementById('new-member-kana');
+    const name = nameInput.value.trim();
+    if (!name) {
+        alert('名前を入力してください');
+        return;
+    }
+    const member = {
+        id: generateMemberId(state.members),
+        studentNumber: Math.max(0, ...state.members.map(m => m.studentNumber || 0)) + 1,
+        name,
+        kana: kanaInput.value.trim(),
+        active: true
+    };
+    // New members join at the end of the rotation
+    changeMembers(`メンバー追加 ${name}`, [...state.members, member]);
+    nameInput.value = '';
+    kanaInput.value = '';
+}
+
+function removeMember(memberId) {
+    const m = state.memberById(memberId);
+    if (!m) return;
+    if (state.members.length <= 1) {
+        alert('メンバーは最低1人必要です。');
+        return;
+    }
+    const inHistory = Object.values(state.ledger).some(entry =>
+        Object.values(entry.assignments).some(ids => ids.includes(memberId))
+    );
+    const warning = inHistory
+        ? '\n確定済みの当番に入っているため、履歴では名前の代わりに ID が表示されます。転出などの場合は「無効」にする方法もあります。'
+        : '';
+    if (!confirm(`「${m.name}」を削除しますか？負債と今後の欠席設定も削除されます。${warning}`)) return;
+
+    changeMembers(`メンバー削除 ${m.name}`, state.members.filter(other => other.id !== memberId));
+}
+
+// Drop `memberId` onto `targetId`: takes the target's place in the list
+function moveMember(memberId, targetId) {
+    if (!memberId || memberId === targetId) return;
+    const moving = state.memberById(memberId);
+    if (!moving) return;
+    const members = state.members.filter(m => m.id !== memberId);
+    const from = state.members.indexOf(moving);
+    const to = state.members.findIndex(m => m.id === targetId);
+    // Moving down lands after the target, moving up lands before it
+    const insertAt = members.findIndex(m => m.id === targetId) + (from < to ? 1 : 0);
+    members.splice(insertAt, 0, moving);
+    changeMembers(`並べ替え ${moving.name}`, members);
+}
+
+// --- Member CSV Import ---
+// One member per line: 出席番号,氏名,ふりがな (tab-separated works too, for pasting from a spreadsheet).
+// A first line whose number column is not a number is treated as a header.
+
+// Lines of cells, each with the line number it starts on. Cells may be quoted as spreadsheets
+// write them ("山田, 太郎", "" for a quote inside), which also lets them hold commas and line breaks.
+function splitCsvLines(text) {
+    const lines = [];
+    let cells = [];
+    let cell = '';
+    let quoted = false;
+    let lineNo = 1;
+    let start = 1;
+    const endLine = () => {
+        cells.push(cell);
+        lines.push({ lineNo: start, cells });
+        cells = [];
+        cell = '';
+        start = lineNo;
+    };
+    for (let i = 0; i < text.length; i++) {
+        const c = text[i];
+        if (quoted) {
+            if (c === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (c === '"') {
+                quoted = false;
+            } else {
+                if (c === '\n') lineNo++;
+                cell += c;
+            }
+        } else if (c === '"' && !cell.trim()) {
+            quoted = true;
+            cell = '';
+        } else if (c === ',' || c === '\t') {
+            cells.push(cell);
+            cell = '';
+        } else if (c === '\n') {
+            lineNo++;
+            endLine();
+        } else if (c !== '\r') {
+            cell += c;
+        }
+    }
+    if (cell || cells.length > 0) endLine();
+    return lines;
+}
+
+function parseMemberCsv(text) {
+    const rows = [];
+    const errors = [];
+    splitCsvLines(text.replace(/^\uFEFF/, '')).forEach(({ lineNo, cells: raw }, i) => {
+        const cells = raw.map(cell => cell.trim());
+        if (!cells.some(cell => cell)) return;
+        const number = parseInt(cells[0]);
+        if (isNaN(number)) {
+            if (i > 0) errors.push(`${lineNo}行目: 出席番号「${cells[0]}」が数字ではありません`);
+            return;
+        }
+        if (!cells[1]) {
+            errors.push(`${lineNo}行目: 氏名がありません`);
+            return;
+        }
+        if (rows.some(r => r.studentNumber === number)) {
+            errors.push(`${lineNo}行目: 出席番号 ${number} が重複しています`);
+            return;
+        }
+        rows.push({ studentNumber: number, name: cells[1], kana: cells[2] || '' });
+    });
+    if (rows.length === 0 && errors.length === 0) errors.push('取り込むメンバーがいません');
+    return { rows, errors };
+}
+
+function showMemberCsvModal() {
+    openModal(`
+        <h2 class="text-xl font-bold mb-2 text-white">名簿の取り込み (CSV)</h2>
+        <p class="text-xs text-gray-400 mb-4">
+            1行に1人、「出席番号,氏名,ふりがな」の形式で貼り付けるか、CSVファイルを選んでください。<br>
+            出席番号が同じ人は名前・ふりがなを更新し、新しい番号の人は追加します。当番の順番（ポインタ）は同じ人のまま引き継がれます。
+        </p>
+        <textarea id="member-csv-text" rows="10" placeholder="1,山田 太郎,やまだ たろう" class="w-full bg-gray-900 border border-gray-600 rounded p-2 text-sm text-white font-mono mb-2"></textarea>
+        <input type="file" accept=".csv,.txt" onchange="loadMemberCsvFile(this)" class="text-xs text-gray-400 mb-4">
+        <label class="flex items-center gap-2 text-sm text-gray-300 mb-1">
+            <input type="checkbox" id="member-csv-sort" checked> 出席番号順に並べ替える
+        </label>
+        <label class="flex items-center gap-2 text-sm text-gray-300 mb-4">
+            <input type="checkbox" id="member-csv-deactivate"> CSVにいないメンバーを「無効」にする
+        </label>
+        <div class="flex justify-end gap-2">
+            <button onclick="closeModal()" class="px-4 py-2 bg-gray-700 hover:bg-gray-600 rounded">キャンセル</button>
+            <button onclick="applyMemberCsv()" class="px-4 py-2 bg-indigo-600 hover:bg-indigo-500 rounded">取り込む</button>
+        </div>
+    `, true);
+}
+
+function loadMemberCsvFile(input) {
+    const file = input.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = e => {
+        document.getElementById('member-csv-text').value = e.target.result;
+    };
+    reader.readAsText(file);
+}
+
+function applyMemberCsv() {
+    const { rows, errors } = parseMemberCsv(document.getElementById('member-csv-text').value);
+    if (errors.length > 0) {
+        alert(`CSVを読み込めませんでした。\n${errors.join('\n')}`);
+        return;
+    }
+    const sortByNumber = document.getElementById('member-csv-sort').checked;
+    const deactivateMissing = document.getElementById('member-csv-deactivate').checked;
+
+    const members = state.members.map(m => ({ ...m }));
+    let added = 0;
+    let updated = 0;
+    rows.forEach(row => {
+        const existing = members.find(m => m.studentNumber === row.studentNumber);
+        if (existing) {
+            Object.assign(existing, { name: row.name, kana: row.kana });
+            updated++;
+        } else {
+            members.push({ id: generateMemberId(members), ...row, active: true });
+            added++;
+        }
+    });
+    let deactivated = 0;
+    if (deactivateMissing) {
+        members.forEach(m => {
+            if (m.active && !rows.some(r => r.studentNumber === m.studentNumber)) {
+                m.active = false;
+                deactivated++;
+            }
+        });
+    }
+    if (sortByNumber) members.sort((a, b) => a.studentNumber - b.studentNumber);
+
+    const summary = `追加 ${added}人・更新 ${updated}人${deactivateMissing ? `・無効化 ${deactivated}人` : ''}`;
+    if (!confirm(`${summary}\nこの内容で取り込みますか？`)) return;
+
+    changeMembers(`CSV取り込み (${summary})`, members);
+    closeModal();
+}
+
+// --- Member Availability ---
+// Absence ranges (sick leave, 実習...) and weekly exclusions per role, stored on the member:
+// absences: [{ id, from, to, note }], weekly: [{ id, day, role, note }] (role is a rule-style selector or '*')
+// The same dialog edits the attributes eligibility rules look at: tags: [string], startDate (転入日).
+
+function availabilityCount(member) {
+    return (member.absences || []).length + (member.weekly || []).length;
+}
+
+// "#聴覚支援 10/21 転入" for the member list
+function describeMemberAttributes(member) {
+    const parts = (member.tags || []).map(tag => `#${tag}`);
+    if (member.startDate) parts.push(`${dateLabel(member.startDate)} 転入`);
+    return parts.join(' ');
+}
+
+function showAvailabilityModal(memberId) {
+    const m = state.memberById(memberId);
+    if (!m) return;
+
+    const absences = [...(m.absences || [])].sort((a, b) => a.from.localeCompare(b.from));
+    const absenceRows = absences.map(a => `
+        <div class="flex items-center justify-between p-2 bg-gray-900/50 rounded border border-gray-700 text-sm">
+            <span class="text-amber-300">${dateLabel(a.from)}〜${dateLabel(a.to)} <span class="text-gray-400">${escapeHtml(a.note)}</span></span>
+            <button onclick="removeMemberAbsence('${m.id}', '${a.id}')" class="p-1 px-2 text-xs text-red-400 hover:bg-red-400/10 rounded">✕</button>
+        </div>
+    `).join('') || '<p class="text-xs text-gray-500">登録なし</p>';
+
+    const weeklyRows = (m.weekly || []).map(w => `
+        <div class="flex items-center justify-between p-2 bg-gray-900/50 rounded border border-gray-700 text-sm">
+            <span>毎週${WEEKDAY_LABELS[w.day]}曜日: ${escapeHtml(describeRoleSelector(w.role))}なし <span class="text-gray-400">${escapeHtml(w.note)}</span></span>
+            <button onclick="removeWeeklyExclusion('${m.id}', '${w.id}')" class="p-1 px-2 text-xs text-red-400 hover:bg-red-400/10 rounded">✕</button>
+        </div>
+    `).join('') || '<p class="text-xs text-gray-500">登録なし</p>';
+
+    const dayOptions = WEEKDAY_LABELS.map((label, day) => `<option value="${day}" ${day === 3 ? 'selected' : ''}>${label}曜日</option>`).join('');
+    const roleOptions = ['<option value="*">全ての役割</option>']
+        .concat(state.roles.map(r => `<option value="${r.id}">${escapeHtml(r.name)}</option>`))
+        .concat('<option value="type:clean">掃除扱いの役割</option>')
+        .join('');
+    const input = 'bg-gray-800 border border-gray-600 rounded px-1 py-1 text-white';
+
+    openModal(`
+        <h2 class="text-xl font-bold mb-4 text-white">${escapeHtml(m.name)} の予定</h2>
+
+        <h3 class="font-bold mb-2 text-sm text-gray-300">属性</h3>
+        <p class="text-xs text-gray-500 mb-2">「担当の条件」で使います。条件で外れた役割は、負債なしで飛ばされます。</p>
+        <div class="grid grid-cols-[auto_1fr] items-center gap-2 text-xs mb-6">
+            <label class="text-gray-400">タグ</label>
+            <input value="${escapeHtml((m.tags || []).join(', '))}" list="member-tags" placeholder="例: 聴覚支援, 転入 (カンマ区切り)" onchange="updateMemberTags('${m.id}', this.value)" class="${input}">
+            <label class="text-gray-400">転入日</label>
+            <div class="flex items-center gap-2">
+                <input type="date" value="${escapeHtml(m.startDate)}" onchange="updateMemberStartDate('${m.id}', this.value)" class="${input}">
+                <span class="text-gray-500">この日より前は当番に入りません</span>
+            </div>
+        </div>
+
+        <p class="text-xs text-gray-500 mb-4">下で登録した日は当番をスキップし、欠席と同じく負債が付きます。</p>
+
+        <h3 class="font-bold mb-2 text-sm text-gray-300">欠席期間 (病欠・実習など)</h3>
+        <div class="space-y-2 mb-2">${absenceRows}</div>
+        <div class="flex flex-wrap items-center gap-2 text-xs mb-6">
+            <input id="absence-from" type="date" class="${input}">
+            <span class="text-gray-500">〜</span>
+            <input id="absence-to" type="date" class="${input}">
+            <input id="absence-note" type="text" placeholder="メモ" class="w-24 ${input}">
+            <button onclick="addMemberAbsence('${m.id}')" class="px-3 py-1 bg-indigo-600 hover:bg-indigo-500 rounded">＋ 追加</button>
+        </div>
+
+        <h3 class="font-bold mb-2 text-sm text-gray-300">曜日ごとの除外 (毎週)</h3>
+        <div class="space-y-2 mb-2">${weeklyRows}</div>
+        <div class="flex flex-wrap items-center gap-2 text-xs mb-6">
+            <select id="weekly-day" class="${input}">${dayOptions}</select>
+            <select id="weekly-role" class="${input}">${roleOptions}</select>
+            <input id="weekly-note" type="text" placeholder="メモ (例: 早退)" class="w-24 ${input}">
+            <button onclick="addWeeklyExclusion('${m.id}')" class="px-3 py-1 bg-indigo-600 hover:bg-indigo-500 rounded">＋ 追加</button>
+        </div>
+
+        <div class="flex justify-end">
+            <button onclick="closeModal()" class="px-4 py-2 bg-gray-700 hover:bg-gray-600 rounded">閉じる</button>
+        </div>
+    `, true);
+}
+
+function changeAvailability(memberId, label, mutate) {
+    const m = state.memberById(memberId);
+    state.record(`${m.name} ${label}`, () => mutate(m));
+    showAvailabilityModal(memberId);
+    renderMemberList();
+    renderSchedule();
+}
+
+function updateMemberTags(memberId, value) {
+    const tags = [...new Set(value.split(/[,、\s]+/).map(tag => tag.replace(/^#/, '')).filter(Boolean))];
+    changeAvailability(memberId, tags.length > 0 ? `タグ ${tags.join(', ')}` : 'タグ削除', m => {
+        if (tags.length > 0) m.tags = tags;
+        else delete m.tags;
+    });
+    renderEligibilityList();
+}
+
+function updateMemberStartDate(memberId, value) {
+    changeAvailability(memberId, value ? `転入日 ${dateLabel(value)}` : '転入日削除', m => {
+        if (value) m.startDate = value;
+        else delete m.startDate;
+    });
+}
+
+function addMemberAbsence(memberId) {
+    const from = document.getElementById('absence-from').value;
+    const to = document.getElementById('absence-to').value || from;
+    if (!from) {
+        alert('開始日を入力してください');
+        return;
+    }
+    if (to < from) {
+        alert('終了日が開始日より前です');
+        return;
+    }
+    const absence = { id: `absence_${Date.now().toString(36)}`, from, to, note: document.getElementById('absence-note').value.trim() };
+    changeAvailability(memberId, `欠席期間 ${dateLabel(from)}〜${dateLabel(to)}`, m => {
+        m.absences = [...(m.absences || []), absence];
+    });
+}
+
+function removeMemberAbsence(memberId, absenceId) {
+    const absence = state.memberById(memberId).absences.find(a => a.id === absenceId);
+    changeAvailability(memberId, `欠席期間削除 ${dateLabel(absence.from)}〜${dateLabel(absence.to)}`, m => {
+        m.absences = m.absences.filter(a => a.id !== absenceId);
+    });
+}
+
+function addWeeklyExclusion(memberId) {
+    const exclusion = {
+        id: `weekly_${Date.now().toString(36)}`,
+        day: parseInt(document.getElementById('weekly-day').value),
+        role: document.getElementById('weekly-role').value,
+        note: document.getElementById('weekly-note').value.trim()
+    };
+    changeAvailability(memberId, `毎週${WEEKDAY_LABELS[exclusion.day]}曜 ${describeRoleSelector(exclusion.role)}なし`, m => {
+        m.weekly = [...(m.weekly || []), exclusion];
+    });
+}
+
+function removeWeeklyExclusion(memberId, exclusionId) {
+    const exclusion = state.memberById(memberId).weekly.find(w => w.id === exclusionId);
+    changeAvailability(memberId, `毎週${WEEKDAY_LABELS[exclusion.day]}曜 除外削除`, m => {
+        m.weekly = m.weekly.filter(w => w.id !== exclusionId);
+    });
+}
+
+// --- Debts ---
+// Outstanding turns per member and pointer: a positive number is owed (taken first when the
+// member is next available), a negative one is a turn served ahead by a manual swap.
+// The editor changes the debts the next unconfirmed day starts from.
+
+function renderDebtList() {
+    const container = document.getElementById('debt-list');
+    if (!container) return;
+
+    const debts = state.liveDebts();
+    const keys = state.pointerKeys();
+    const rows = state.members.map(m => `
+        <tr class="border-b border-gray-800 ${m.active ? '' : 'opacity-40'}">
+            <td class="p-1">${escapeHtml(m.name)}</td>
+            ${keys.map(key => {
+                const value = debts[m.id]?.[key] || 0;
+                const color = value > 0 ? 'text-amber-300' : value < 0 ? 'text-sky-300' : 'text-gray-500';
+                return `<td class="p-1 text-center"><input type="number" value="${value}" onchange="setDebt('${m.id}', '${key}', this.value)" class="w-14 bg-gray-800 border border-gray-700 rounded px-1 text-center ${color}"></td>`;
+            }).join('')}
+        </tr>
+    `).join('');
+
+    container.innerHTML = `
+        <table class="w-full text-left text-sm">
+            <thead>
+                <tr class="text-gray-400 border-b border-gray-700 text-xs">
+                    <th class="pb-1">名前</th>
+                    ${keys.map(key => `<th class="pb-1 text-center">${escapeHtml(pointerLabel(key))}</th>`).join('')}
+                </tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>
+    `;
+}
+
+function changeDebts(label, mutate) {
+    state.record(label, () => mutate(state.liveDebts()));
+    renderDebtList();
+    renderSchedule();
+}
+
+function setDebt(memberId, pointerKey, value) {
+    const debt = parseInt(value) || 0;
+    changeDebts(`負債変更 ${state.memberName(memberId)} ${pointerLabel(pointerKey)} ${debt}`, debts => {
+        if (!debts[memberId]) debts[memberId] = {};
+        debts[memberId][pointerKey] = debt;
+    });
+}
+
+function clearDebts() {
+    if (!confirm('全員の負債（前借りを含む）を0に戻しますか？')) return;
+    changeDebts('負債を全てクリア', debts => {
+        Object.values(debts).forEach(byPointer => {
+            Object.keys(byPointer).forEach(key => { byPointer[key] = 0; });
+        });
+    });
+}
+
+function renderDebtPolicy() {
+    const policy = state.settings.debtPolicy;
+    const maxInput = document.getElementById('debt-max');
+    if (!maxInput) return;
+    maxInput.value = policy.maxDebt ?? '';
+    document.getElementById('debt-expire').value = policy.expireAfter ?? '';
+    document.getElementById('debt-conflict').checked = policy.conflictDebt;
+}
+
+// Empty number fields mean "no limit"
+function changeDebtPolicy(field, value) {
+    let next = value;
+    if (field === 'maxDebt' || field === 'expireAfter') {
+        const min = field === 'maxDebt' ? 0 : 1;
+        next = value === '' ? null : Math.max(min, parseInt(value) || min);
+    }
+    const labels = {
+        maxDebt: next === null ? '負債の上限なし' : `負債の上限 ${next}`,
+        expireAfter: next === null ? '負債の期限なし' : `負債の期限 ${next}授業日`,
+        conflictDebt: next ? '兼任の重なりも負債にする' : '兼任の重なりは負債にしない'
+    };
+    state.record(labels[field], () => {
+        state.settings.debtPolicy[field] = next;
+    });
+    renderDebtPolicy();
+    renderSchedule();
+}
+
+// --- Role Management ---
+
+function renderRoleList() {
+    const container = document.getElementById('role-list');
+    if (!container) return;
+
+    container.innerHTML = state.roles.map((role, i) => {
+        const pointerOptions = [`<option value="${role.id}" ${role.pointer === role.id ? 'selected' : ''}>専用</option>`]
+            .concat(state.roles
+                .filter(other => other.id !== role.id && other.pointer !== role.id)
+                .map(other => `<option value="${other.pointer}" ${role.pointer === other.pointer && role.pointer !== role.id ? 'selected' : ''}>${escapeHtml(other.name)}と共有</option>`))
+            .join('');
+        const rotationOptions = Object.entries(CONFIG.rotations).map(([key, label]) =>
+            `<option value="${key}" ${role.rotation === key ? 'selected' : ''}>${label}</option>`
+        ).join('');
+
+        return `
+            <div class="p-3 bg-gray-900/50 rounded border border-gray-700 space-y-2">
+                <div class="flex items-center gap-2">
+                    <input value="${escapeHtml(role.name)}" onchange="updateRole('${role.id}', 'name', this.value)" class="flex-1 bg-transparent ${escapeHtml(role.style)} border-b border-gray-700 focus:border-indigo-500 outline-none">
+                    <button onclick="moveRole('${role.id}', -1)" class="p-1 px-2 text-xs bg-gray-700 rounded ${i === 0 ? 'opacity-30' : ''}">↑</button>
+                    <button onclick="moveRole('${role.id}', 1)" class="p-1 px-2 text-xs bg-gray-700 rounded ${i === state.roles.length - 1 ? 'opacity-30' : ''}">↓</button>
+                    <button onclick="removeRole('${role.id}')" class="p-1 px-2 text-xs text-red-400 hover:bg-red-400/10 rounded">✕</button>
+                </div>
+                <div class="flex flex-wrap items-center gap-3 text-xs text-gray-400">
+                    <label>人数 <input type="number" min="1" value="${role.count}" onchange="updateRole('${role.id}', 'count', this.value)" class="w-12 bg-gray-800 border border-gray-600 rounded px-1 text-white"></label>
+                    <label>ポインタ <select onchange="updateRole('${role.id}', 'pointer', this.value)" class="bg-gray-800 border border-gray-600 rounded px-1 text-white">${pointerOptions}</select></label>
+                    <label>方式 <select onchange="updateRole('${role.id}', 'rotation', this.value)" class="bg-gray-800 border border-gray-600 rounded px-1 text-white">${rotationOptions}</select></label>
+                    <label><input type="checkbox" ${role.type === 'clean' ? 'checked' : ''} onchange="updateRole('${role.id}', 'type', this.checked ? 'clean' : 'single')"> 掃除扱い</label>
+                    <label title="欠席で飛ばした人に負債を付けません"><input type="checkbox" ${role.forgiveAbsence ? 'checked' : ''} onchange="updateRole('${role.id}', 'forgiveAbsence', this.checked)"> 欠席は免除</label>
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+// Apply a role edit as one undoable step and refresh everything that lists roles
+function changeRoles(label, mutate) {
+    state.record(label, () => {
+        mutate();
+        state.normalize();
+    });
+    renderRoleList();
+    renderRuleList();
+    renderConfig();
+    renderPointerUI();
+    renderDebtList();
+    renderSchedule();
+}
+
+function addRole() {
+    const id = `role_${Date.now().toString(36)}`;
+    const style = CONFIG.palette[state.roles.length % CONFIG.palette.length];
+    changeRoles('役割追加', () => {
+        state.roles.push({ id, name: '新しい役割', type: 'single', count: 1, pointer: id, rotation: 'single', style });
+    });
+}
+
+// A cleaning area rotates on its own pointer. It starts just past the people the existing
+// areas are about to take, so the areas don't all open on the same students and trip the
+// cleaning conflict rule on day one.
+function addCleaningArea() {
+    const id = `area_${Date.now().toString(36)}`;
+    const style = CONFIG.palette[state.roles.length % CONFIG.palette.length];
+    const start = freeCleaningStart(2);
+    changeRoles('掃除場所追加', () => {
+        state.roles.push({ id, name: '新しい掃除場所', type: 'clean', count: 2, pointer: id, rotation: 'window', style });
+        state.pointers[id] = start;
+        state.livePointers()[id] = start;
+    });
+}
+
+// First roster position, after the areas already there, whose next `count` people no cleaning
+// area is about to take (pointers keep counting up, so positions wrap around the roster)
+function freeCleaningStart(count) {
+    const total = state.members.length;
+    if (total === 0) return 0;
+    const live = state.livePointers();
+    const taken = new Set();
+    let after = 0;
+    state.roles.filter(r => r.type === 'clean').forEach(r => {
+        const pos = ((live[r.pointer] || 0) % total + total) % total;
+        for (let i = 0; i < r.count; i++) taken.add((pos + i) % total);
+        after = Math.max(after, pos + r.count);
+    });
+    for (let step = 0; step < total; step++) {
+        const start = (after + step) % total;
+        if ([...Array(Math.min(count, total)).keys()].every(i => !taken.has((start + i) % total))) return start;
+    }
+    return after % total; // Not enough people for every area to have its own
+}
+
+function removeRole(roleId) {
+    const role = state.roles.find(r => r.id === roleId);
+    if (!role) return;
+    if (state.roles.length <= 1) {
+        alert('役割は最低1つ必要です。');
+        return;
+    }
+    if (!confirm(`「${role.name}」を削除しますか？`)) return;
+
+    changeRoles(`役割削除 ${role.name}`, () => {
+        state.settings.roles = state.roles.filter(r => r.id !== roleId);
+        state.settings.rules = state.rules.filter(rule => rule.role !== roleId && rule.other !== roleId);
+        state.settings.eligibility = state.settings.eligibility.filter(rule => rule.role !== roleId);
+        state.members.forEach(m => {
+            if (m.weekly) m.weekly = m.weekly.filter(w => w.role !== roleId);
+        });
+
+        // Drop the pointer (and its debts) once no remaining role rotates on it
+        if (!state.roles.some(r => r.pointer === role.pointer)) {
+            delete state.pointers[role.pointer];
+            Object.values(state.debts).forEach(d => delete d[role.pointer]);
+        }
+    });
+}
+
+function moveRole(roleId, delta) {
+    const roles = state.roles;
+    const idx = roles.findIndex(r => r.id === roleId);
+    const target = idx + delta;
+    if (idx < 0 || target < 0 || target >= roles.length) return;
+
+    changeRoles(`役割並べ替え ${roles[idx].name}`, () => {
+        [roles[idx], roles[target]] = [roles[target], roles[idx]];
+    });
+}
+
+function updateRole(roleId, field, value) {
+    const role = state.roles.find(r => r.id === roleId);
+    if (!role) return;
+
+    changeRoles(`役割変更 ${role.name}`, () => {
+        if (field === 'count') {
+            role.count = Math.max(1, parseInt(value) || 1);
+        } else if (field === 'name') {
+            role.name = value.trim() || role.name;
+        } else {
+            role[field] = value;
+        }
+    });
+}
+
+// --- Conflict Rules ---
+
+function describeRoleSelector(selector) {
+    if (selector === '*') return '全ての役割';
+    if (selector === 'type:clean') return '掃除扱いの役割';
+    const role = state.roles.find(r => r.id === selector);
+    return role ? role.name : '(削除された役割)';
+}
+
+function describeRule(rule) {
+    if (!rule) return '(削除されたルール)';
+    switch (rule.type) {
+        case 'exclude':
+            return `${describeRoleSelector(rule.role)} と ${describeRoleSelector(rule.other)} は兼任しない`;
+        case 'maxPerDay':
+            return `1人1日 ${rule.max} 役割まで`;
+        case 'notAfter':
+            return `前日の${describeRoleSelector(rule.other)}担当者は${describeRoleSelector(rule.role)}にしない`;
+        default:
+            return rule.type;
+    }
+}
+
+// Why someone was passed over: a skip record or trace step ({ reason, ruleId? })
+function describeSkipReason(skip) {
+    if (skip.reason === 'inactive') return '無効';
+    if (skip.reason === 'absent') return '欠席';
+    if (skip.reason === 'leave') return '欠席期間';
+    if (skip.reason === 'weekly') return '曜日ごとの除外';
+    if (skip.reason === 'same-role') return '同じ役割に重複';
+    if (skip.reason === 'credit') return '交代で前借り済み';
+    if (skip.reason === 'not-started') return '転入前';
+    if (skip.reason === 'ineligible') return describeEligibility(state.settings.eligibility.find(r => r.id === skip.ruleId));
+    return describeRule(state.rules.find(r => r.id === skip.ruleId));
+}
+
+// Tooltip text listing who was passed over for a role on a day, and why
+function describeSkips(day, roleId) {
+    return day.skips
+        .filter(skip => skip.roleId === roleId)
+        .map(skip => `${state.memberName(skip.memberId)}: ${describeSkipReason(skip)}`)
+        .filter((line, i, lines) => lines.indexOf(line) === i) // debt holders can be re-checked per slot
+        .join('\n');
+}
+
+function renderRuleList() {
+    const container = document.getElementById('rule-list');
+    if (!container) return;
+
+    container.innerHTML = state.rules.map(rule => `
+        <div class="flex items-center justify-between p-2 bg-gray-900/50 rounded border border-gray-700 text-sm">
+            <span>${escapeHtml(describeRule(rule))}</span>
+            <button onclick="removeRule('${rule.id}')" class="p-1 px-2 text-xs text-red-400 hover:bg-red-400/10 rounded">✕</button>
+        </div>
+    `).join('') || '<p class="text-xs text-gray-500">ルールなし（誰でも何役でも兼任できます）</p>';
+
+    // Pickers for the "add rule" form
+    const typeSelect = document.getElementById('rule-type');
+    if (typeSelect && !typeSelect.options.length) {
+        typeSelect.innerHTML = Object.entries(CONFIG.ruleTypes)
+            .map(([key, label]) => `<option value="${key}">${label}</option>`).join('');
+    }
+    const roleOptions = state.roles.map(r => `<option value="${r.id}">${escapeHtml(r.name)}</option>`)
+        .concat('<option value="type:clean">掃除扱いの役割</option>')
+        .join('');
+    ['rule-role', 'rule-other'].forEach(id => {
+        const select = document.getElementById(id);
+        if (select) select.innerHTML = roleOptions;
+    });
+    onRuleTypeChange();
+}
+
+// Show only the inputs the selected rule type uses
+function onRuleTypeChange() {
+    const typeSelect = document.getElementById('rule-type');
+    if (!typeSelect) return;
+    const type = typeSelect.value;
+    document.getElementById('rule-role').classList.toggle('hidden', type === 'maxPerDay');
+    document.getElementById('rule-other').classList.toggle('hidden', type === 'maxPerDay');
+    document.getElementById('rule-max').classList.toggle('hidden', type !== 'maxPerDay');
+}
+
+function addRule() {
+    const type = document.getElementById('rule-type').value;
+    const rule = { id: `rule_${Date.now().toString(36)}`, type };
+
+    if (type === 'maxPerDay') {
+        rule.max = Math.max(1, parseInt(document.getElementById('rule-max').value) || 1);
+    } else {
+        rule.role = document.getElementById('rule-role').value;
+        rule.other = document.getElementById('rule-other').value;
+    }
+
+    state.record(`ルール追加 ${describeRule(rule)}`, () => {
+        state.rules.push(rule);
+    });
+    renderRuleList();
+    renderSchedule();
+}
+
+function removeRule(ruleId) {
+    const rule = state.rules.find(r => r.id === ruleId);
+    state.record(`ルール削除 ${describeRule(rule)}`, () => {
+        state.settings.rules = state.rules.filter(r => r.id !== ruleId);
+    });
+    renderRuleList();
+    renderSchedule();
+}
+
+// --- Eligibility ---
+// Who may take a role at all, by member tags and start date (settings.eligibility, see
+// CONFIG.eligibilityTypes). Members a rule covers are passed over without debt.
+
+function describeEligibleMembers(rule) {
+    const parts = [];
+    if (rule.tag) parts.push(`「${rule.tag}」の人`);
+    if (rule.withinDays) parts.push(`転入から${rule.withinDays}日以内の人`);
+    return parts.join('のうち');
+}
+
+function describeEligibility(rule) {
+    if (!rule) return '(削除された担当の条件)';
+    const who = describeEligibleMembers(rule);
+    if (rule.type === 'notTogether') return `${describeRoleSelector(rule.role)}: ${who}どうしを組ませない`;
+    return `${describeRoleSelector(rule.role)}: ${who}は担当しない`;
+}
+
+function renderEligibilityList() {
+    const container = document.getElementById('eligibility-list');
+    if (!container) return;
+
+    container.innerHTML = state.settings.eligibility.map(rule => `
+        <div class="flex items-center justify-between p-2 bg-gray-900/50 rounded border border-gray-700 text-sm">
+            <span>${escapeHtml(describeEligibility(rule))}</span>
+            <button onclick="removeEligibilityRule('${rule.id}')" class="p-1 px-2 text-xs text-red-400 hover:bg-red-400/10 rounded">✕</button>
+        </div>
+    `).join('') || '<p class="text-xs text-gray-500">条件なし（有効なメンバー全員がどの役割も担当します）</p>';
+
+    const typeSelect = document.getElementById('eligibility-type');
+    if (typeSelect && !typeSelect.options.length) {
+        typeSelect.innerHTML = Object.entries(CONFIG.eligibilityTypes)
+            .map(([key, label]) => `<option value="${key}">${label}</option>`).join('');
+    }
+    const roleSelect = document.getElementById('eligibility-role');
+    if (roleSelect) {
+        roleSelect.innerHTML = ['<option value="*">全ての役割</option>']
+            .concat(state.roles.map(r => `<option value="${r.id}">${escapeHtml(r.name)}</option>`))
+            .concat('<option value="type:clean">掃除扱いの役割</option>')
+            .join('');
+    }
+    // Tags already in use, as suggestions
+    const tagList = document.getElementById('member-tags');
+    if (tagList) {
+        const tags = [...new Set(state.members.flatMap(m => m.tags || []))];
+        tagList.innerHTML = tags.map(tag => `<option value="${escapeHtml(tag)}"></option>`).join('');
+    }
+}
+
+function addEligibilityRule() {
+    const tag = document.getElementById('eligibility-tag').value.trim();
+    const days = parseInt(document.getElementById('eligibility-days').value);
+    const rule = {
+        id: `eligibility_${Date.now().toString(36)}`,
+        type: document.getElementById('eligibility-type').value,
+        role: document.getElementById('eligibility-role').value,
+        tag: tag || null,
+        withinDays: days >= 1 ? days : null
+    };
+    if (!rule.tag && !rule.withinDays) {
+        alert('タグか、転入からの日数を入力してください');
+        return;
+    }
+
+    state.record(`担当の条件追加 ${describeEligibility(rule)}`, () => {
+        state.settings.eligibility.push(rule);
+    });
+    renderEligibilityList();
+    renderSchedule();
+}
+
+function removeEligibilityRule(ruleId) {
+    const rule = state.settings.eligibility.find(r => r.id === ruleId);
+    state.record(`担当の条件削除 ${describeEligibility(rule)}`, () => {
+        state.settings.eligibility = state.settings.eligibility.filter(r => r.id !== ruleId);
+    });
+    renderEligibilityList();
+    renderSchedule();
+}
+
+// --- School Calendar ---
+const WEEKDAY_LABELS = ['日', '月', '火', '水', '木', '金', '土'];
+
+function describePeriod(period) {
+    const range = period.from === period.to ? dateLabel(period.from) : `${dateLabel(period.from)}〜${dateLabel(period.to)}`;
+    return `${period.name} (${range}・${CONFIG.periodTypes[period.type]})`;
+}
+
+function renderCalendarSettings() {
+    const calendar = state.settings.calendar;
+
+    const weekdays = document.getElementById('calendar-weekdays');
+    if (!weekdays) return;
+    weekdays.innerHTML = WEEKDAY_LABELS.map((label, day) => {
+        const on = calendar.schoolDays.includes(day);
+        return `<button onclick="toggleSchoolDay(${day})" title="${on ? '授業あり' : '休み'}"
+            class="w-8 py-1 text-xs rounded border ${on ? 'border-indigo-500 text-indigo-300 bg-indigo-900/40' : 'border-gray-700 text-gray-500'}">${label}</button>`;
+    }).join('');
+
+    document.getElementById('calendar-national').checked = calendar.nationalHolidays;
+
+    const periods = [...calendar.periods].sort((a, b) => a.from.localeCompare(b.from));
+    document.getElementById('period-list').innerHTML = periods.map(period => `
+        <div class="flex items-center justify-between p-2 bg-gray-900/50 rounded border border-gray-700 text-sm">
+            <span class="${period.type === 'holiday' ? 'text-red-300' : 'text-blue-300'}">${escapeHtml(describePeriod(period))}</span>
+            <button onclick="removePeriod('${period.id}')" class="p-1 px-2 text-xs text-red-400 hover:bg-red-400/10 rounded">✕</button>
+        </div>
+    `).join('') || '<p class="text-xs text-gray-500">期間の登録なし</p>';
+
+    const typeSelect = document.getElementById('period-type');
+    if (typeSelect && !typeSelect.options.length) {
+        typeSelect.innerHTML = Object.entries(CONFIG.periodTypes)
+            .map(([key, label]) => `<option value="${key}">${label}</option>`).join('');
+    }
+}
+
+function changeCalendar(label, mutate) {
+    state.record(label, () => mutate(state.settings.calendar));
+    renderCalendarSettings();
+    renderSchedule();
+}
+
+function toggleSchoolDay(day) {
+    const on = state.settings.calendar.schoolDays.includes(day);
+    changeCalendar(`${WEEKDAY_LABELS[day]}曜日 ${on ? '休み' : '授業あり'}`, calendar => {
+        calendar.schoolDays = on
+            ? calendar.schoolDays.filter(d => d !== day)
+            : [...calendar.schoolDays, day].sort();
+    });
+}
+
+function toggleNationalHolidays() {
+    const on = document.getElementById('calendar-national').checked;
+    changeCalendar(on ? '祝日を休みにする' : '祝日も授業あり', calendar => {
+        calendar.nationalHolidays = on;
+    });
+}
+
+function addPeriod() {
+    const nameInput = document.getElementById('period-name');
+    const from = document.getElementById('period-from').value;
+    const to = document.getElementById('period-to').value || from;
+    const type = document.getElementById('period-type').value;
+    if (!from) {
+        alert('開始日を入力してください');
+        return;
+    }
+    if (to < from) {
+        alert('終了日が開始日より前です');
+        return;
+    }
+
+    const period = {
+        id: `period_${Date.now().toString(36)}`,
+        name: nameInput.value.trim() || CONFIG.periodTypes[type],
+        from,
+        to,
+        type
+    };
+    changeCalendar(`期間追加 ${describePeriod(period)}`, calendar => {
+        calendar.periods.push(period);
+    });
+    nameInput.value = '';
+}
+
+function removePeriod(periodId) {
+    const period = state.settings.calendar.periods.find(p => p.id === periodId);
+    changeCalendar(`期間削除 ${describePeriod(period)}`, calendar => {
+        calendar.periods = calendar.periods.filter(p => p.id !== periodId);
+    });
+}
+
+// --- Config / Pointers ---
+function renderConfig() {
+    // Allows manually setting the pointers
+    // TODO: Add UI for this in index.html, then hook up here
+    const container = document.getElementById('debug-pointers');
+    if (!container) return;
+
+    // Simple debug view
+    container.innerHTML = `
+        <div class="text-xs text-gray-500 font-mono">
+            ${state.pointerKeys().map(key => `${escapeHtml(key)}: ${state.pointers[key]}`).join(' <br>')}
+        </div>
+    `;
+}
+
+// --- Statistics ---
+
+function getStatsRange() {
+    const fromInput = document.getElementById('stats-from');
+    const toInput = document.getElementById('stats-to');
+    // Default: whole course so far
+    if (!fromInput.value) fromInput.value = localDateValue(new Date(state.settings.startDate));
+    if (!toInput.value) toInput.value = localDateValue(new Date());
+    return { from: parseLocalDate(fromInput.value), to: parseLocalDate(toInput.value) };
+}
+
+function pointerLabel(pointerKey) {
+    return state.roles.filter(r => r.pointer === pointerKey).map(r => r.name).join('/') || pointerKey;
+}
+
+function formatDeviation(value) {
+    if (value === null) return '-';
+    const rounded = Math.round(value * 10) / 10;
+    return rounded > 0 ? `+${rounded}` : `${rounded}`;
+}
+
+function describeGap(gap) {
+    const role = state.roles.find(r => r.id === gap.roleId);
+    const label = gap.flag === 'long' ? '間隔が長い' : '間隔が短い';
+    return `${role ? role.name : gap.roleId}: ${label} (${gap.days}日 / 目安${Math.round(gap.cycle)}日)`;
+}
+
+function renderStats() {
+    const container = document.getElementById('stats-body');
+    if (!container) return;
+
+    const { from, to } = getStatsRange();
+    if (to < from) {
+        container.innerHTML = `<p class="p-8 text-center text-gray-500">期間の指定が正しくありません</p>`;
+        return;
+    }
+
+    const stats = engine.statistics(from, to);
+    const pointerKeys = state.pointerKeys();
+
+    const head = `
+        <tr class="bg-gray-800/80 text-gray-300 text-sm">
+            <th class="p-3 border-b border-gray-700">No.</th>
+            <th class="p-3 border-b border-gray-700">名前</th>
+            ${stats.roles.map(r => `<th class="p-3 border-b border-gray-700 text-center ${escapeHtml(state.roles.find(x => x.id === r.id).style)}">${escapeHtml(r.name)}<div class="text-xs text-gray-500 font-normal">目安 ${Math.round(r.ideal * 10) / 10}回</div></th>`).join('')}
+            ${pointerKeys.map(key => `<th class="p-3 border-b border-gray-700 text-center text-red-300">負債<div class="text-xs text-gray-500 font-normal">${escapeHtml(pointerLabel(key))}</div></th>`).join('')}
+            <th class="p-3 border-b border-gray-700">注意</th>
+        </tr>
+    `;
+
+    const rows = stats.members.map(row => {
+        const m = row.member;
+        const roleCells = stats.roles.map(r => {
+            const dev = row.deviation[r.id];
+            const devClass = dev === null ? 'text-gray-600' : Math.abs(dev) >= 1 ? 'text-amber-400' : 'text-gray-500';
+            return `<td class="p-3 text-center text-sm">${row.counts[r.id]} <span class="text-xs ${devClass}">(${formatDeviation(dev)})</span></td>`;
+        }).join('');
+        const debtCells = pointerKeys.map(key => {
+            const debt = row.debts[key] || 0;
+            return `<td class="p-3 text-center text-sm ${debt > 0 ? 'text-red-300' : 'text-gray-600'}">${debt}</td>`;
+        }).join('');
+        const flags = row.gaps.map(gap =>
+            `<span class="inline-block bg-amber-900/40 text-amber-300 text-xs px-1 rounded border border-amber-800/50">${escapeHtml(describeGap(gap))}</span>`
+        ).join(' ');
+
+        return `
+            <tr class="border-b border-gray-800 ${m.active ? '' : 'opacity-40'}">
+                <td class="p-3 text-sm text-gray-500">${escapeHtml(m.studentNumber)}</td>
+                <td class="p-3 text-sm">${escapeHtml(m.name)}</td>
+                ${roleCells}
+                ${debtCells}
+                <td class="p-3">${flags}</td>
+            </tr>
+        `;
+    }).join('');
+
+    container.innerHTML = `
+        <p class="text-sm text-gray-400 mb-3">登校日 ${stats.schoolDays}日 / 回数の横の( )は目安との差</p>
+        <div class="overflow-x-auto rounded-xl border border-gray-700 bg-gray-900/50">
+            <table class="w-full text-left border-collapse">
+                <thead>${head}</thead>
+                <tbody>${rows}</tbody>
+            </table>
+        </div>
+    `;
+}
+
+function exportStatsCsv() {
+    const { from, to } = getStatsRange();
+    const stats = engine.statistics(from, to);
+    const pointerKeys = state.pointerKeys();
+
+    const escape = value => {
+        const text = String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const header = ['出席番号', '名前', '有効']
+        .concat(stats.roles.map(r => `${r.name}回数`))
+        .concat(stats.roles.map(r => `${r.name}目安との差`))
+        .concat(pointerKeys.map(key => `負債(${pointerLabel(key)})`))
+        .concat(['注意']);
+
+    const lines = stats.members.map(row => [
+        row.member.studentNumber,
+        row.member.name,
+        row.member.active ? '有効' : '無効',
+        ...stats.roles.map(r => row.counts[r.id]),
+        ...stats.roles.map(r => formatDeviation(row.deviation[r.id])),
+        ...pointerKeys.map(key => row.debts[key] || 0),
+        row.gaps.map(describeGap).join(' / ')
+    ]);
+
+    const csv = [header, ...lines].map(cols => cols.map(escape).join(',')).join('\r\n');
+    // BOM so Excel opens the Japanese text correctly
+    downloadFile(`roster_stats_${localDateValue(from)}_${localDateValue(to)}.csv`, '\uFEFF' + csv, 'text/csv');
+}
+
+// --- Global navigation ---
+window.currentViewDate = new Date();
+function changeMonth(delta) {
+    window.currentViewDate.setMonth(window.currentViewDate.getMonth() + delta);
+    renderSchedule();
+}
+
+function regenerateSchedule() {
+    renderSchedule();
+}
+
+function resetAllData() {
+    if (confirm(`「${currentWorkspace().name}」のデータを全て削除してリセットしますか？\n（ほかのクラスのデータは消えません）`)) {
+        state.reset();
+    }
+}
+
+// --- Workspace Switcher ---
+// Switching reloads the page, like an import does: every view is rebuilt from the new state.
+
+function currentWorkspace() {
+    return workspaces.list.find(ws => ws.id === workspaces.current);
+}
+
+function renderWorkspaceSwitcher() {
+    const select = document.getElementById('workspace-select');
+    if (!select) return;
+    select.innerHTML = workspaces.list.map(ws =>
+        `<option value="${ws.id}" ${ws.id === workspaces.current ? 'selected' : ''}>${escapeHtml(ws.name)}</option>`
+    ).join('');
+}
+
+function switchWorkspace(id) {
+    if (id === workspaces.current || !workspaces.list.some(ws => ws.id === id)) return;
+    workspaces.current = id;
+    saveWorkspaces(workspaces);
+    location.reload();
+}
+
+// "2年1組" -> "2年1組 (2)" if that name is taken
+function uniqueWorkspaceName(name) {
+    const taken = new Set(workspaces.list.map(ws => ws.name));
+    if (!taken.has(name)) return name;
+    let n = 2;
+    while (taken.has(`${name} (${n})`)) n++;
+    return `${name} (${n})`;
+}
+
+// Adds a workspace (with `data` as its state, or empty for the setup dialog) and returns its id
+function createWorkspace(name, data = null) {
+    const id = generateWorkspaceId(workspaces.list);
+    workspaces.list.push({ id, name: uniqueWorkspaceName(name) });
+    if (data) writeWorkspaceState(id, data);
+    saveWorkspaces(workspaces);
+    return id;
+}
+
+function showWorkspaceModal() {
+    const others = workspaces.list.filter(ws => ws.id !== workspaces.current);
+    const rows = workspaces.list.map(ws => `
+        <div class="flex items-center gap-2">
+            <input value="${escapeHtml(ws.name)}" onchange="renameWorkspace('${ws.id}', this.value)" class="flex-1 bg-gray-900 border border-gray-700 rounded px-2 py-1 text-sm text-white">
+            ${ws.id === workspaces.current
+                ? '<span class="text-xs text-blue-300 w-16 text-center">表示中</span>'
+                : `<button onclick="switchWorkspace('${ws.id}')" class="text-xs w-16 py-1 bg-gray-700 hover:bg-gray-600 rounded">切り替え</button>`}
+            <button onclick="removeWorkspace('${ws.id}')" title="削除" class="p-1 px-2 text-xs text-red-400 hover:bg-red-400/10 rounded">✕</button>
+        </div>
+    `).join('');
+    const copy = others.length > 0 ? `
+        <h3 class="text-sm font-bold text-gray-300 mt-5 mb-2">カレンダーをコピー</h3>
+        <p class="text-xs text-gray-500 mb-2">ほかのクラスの学校カレンダー（曜日・祝日・期間）を「${escapeHtml(currentWorkspace().name)}」にコピーします。</p>
+        <div class="flex flex-wrap items-center gap-2 text-xs">
+            <select id="calendar-source" class="bg-gray-900 border border-gray-600 rounded px-1 py-1 text-white">
+                ${others.map(ws => `<option value="${ws.id}">${escapeHtml(ws.name)}</option>`).join('')}
+            </select>
+            <label class="text-gray-300"><input type="checkbox" id="calendar-source-days"> 日ごとの「休」「掃」も含める</label>
+            <button onclick="copyCalendarFrom()" class="px-3 py-1 bg-indigo-600 hover:bg-indigo-500 rounded">コピー</button>
+        </div>
+    ` : '';
+
+    openModal(`
+        <h2 class="text-xl font-bold mb-4 text-white">クラスの管理</h2>
+        <div class="space-y-2">${rows}</div>
+        <div class="flex items-center gap-2 mt-3">
+            <input id="new-workspace-name" type="text" placeholder="新しいクラスの名前" class="flex-1 bg-gray-900 border border-gray-600 rounded px-2 py-1 text-sm text-white">
+            <button onclick="addWorkspace()" class="text-xs px-3 py-1 bg-indigo-600 hover:bg-indigo-500 rounded">＋ 追加</button>
+        </div>
+        ${copy}
+        ${renderServerSection()}
+        <h3 class="text-sm font-bold text-gray-300 mt-5 mb-2">保存</h3>
+        <div class="flex flex-wrap gap-2 text-xs">
+            <button onclick="exportData()" class="px-3 py-1 bg-indigo-900/50 hover:bg-indigo-900/80 text-indigo-200 rounded border border-indigo-800/50">💾 このクラスを保存</button>
+            <button onclick="exportAllWorkspaces()" class="px-3 py-1 bg-indigo-900/50 hover:bg-indigo-900/80 text-indigo-200 rounded border border-indigo-800/50">🗂 全クラスを保存</button>
+        </div>
+        <button onclick="closeModal()" class="w-full mt-5 py-2 rounded text-gray-400 hover:bg-white/5 text-sm">閉じる</button>
+    `, true);
+}
+
+function addWorkspace() {
+    const name = document.getElementById('new-workspace-name').value.trim();
+    if (!name) {
+        alert('クラスの名前を入力してください');
+        return;
+    }
+    // A new class starts with the setup dialog
+    switchWorkspace(createWorkspace(name));
+}
+
+function renameWorkspace(id, name) {
+    const ws = workspaces.list.find(w => w.id === id);
+    if (!ws || !name.trim() || name.trim() === ws.name) return;
+    ws.name = uniqueWorkspaceName(name.trim());
+    if (id === workspaces.current && state.remote) state.remote.name = ws.name;
+    saveWorkspaces(workspaces);
+    renderWorkspaceSwitcher();
+    showWorkspaceModal();
+}
+
+function removeWorkspace(id) {
+    const ws = workspaces.list.find(w => w.id === id);
+    if (!ws) return;
+    if (workspaces.list.length <= 1) {
+        alert('クラスは最低1つ必要です。');
+        return;
+    }
+    if (!confirm(`「${ws.name}」を削除しますか？\nこのクラスのメンバー・当番・設定は全て消えます（元に戻せません）。`)) return;
+
+    const keys = workspaceStorageKeys(id);
+    Object.values(keys).forEach(key => localStorage.removeItem(key));
+    workspaces.list = workspaces.list.filter(w => w.id !== id);
+    if (id === workspaces.current) {
+        workspaces.current = workspaces.list[0].id;
+        saveWorkspaces(workspaces);
+        location.reload();
+        return;
+    }
+    saveWorkspaces(workspaces);
+    renderWorkspaceSwitcher();
+    showWorkspaceModal();
+}
+
+// Copies another class's school calendar, optionally with its per-day 休/掃 toggles
+// (confirmed days excluded). Absences are per class and never copied.
+function copyCalendarFrom() {
+    const sourceId = document.getElementById('calendar-source').value;
+    const withDays = document.getElementById('calendar-source-days').checked;
+    const source = workspaces.list.find(ws => ws.id === sourceId);
+    const data = readWorkspaceState(sourceId);
+    if (!data) {
+        alert(`「${source.name}」にはまだデータがありません。`);
+        return;
+    }
+
+    state.record(`カレンダーをコピー (${source.name})`, () => {
+        state.settings.calendar = JSON.parse(JSON.stringify(data.settings.calendar));
+        if (!withDays) return;
+        Object.entries(data.settings.daySettings).forEach(([key, ds]) => {
+            if (state.isLocked(key)) return;
+            ['isHoliday', 'noCleaning'].forEach(flag => {
+                if (ds[flag] !== undefined) daySettingsFor(key)[flag] = ds[flag];
+            });
+        });
+    });
+    engine.invalidateFrom();
+    closeModal();
+    renderCalendarSettings();
+    renderSchedule();
+}
+
+// Every class in one file: { schemaVersion, workspaces: [{ id, name, state }] }
+function exportAllWorkspaces() {
+    const bundle = {
+        schemaVersion: SCHEMA_VERSION,
+        workspaces: workspaces.list
+            .map(ws => ({ id: ws.id, name: ws.name, state: readWorkspaceState(ws.id) }))
+            .filter(ws => ws.state)
+    };
+    downloadFile(`roster_v3_all_${new Date().toISOString().split('T')[0]}.json`, JSON.stringify(bundle, null, 2), 'application/json');
+}
+
+// --- Server Connection ---
+// Connecting the current class to a shared server (see RemoteStore). The connection is stored
+// on the workspace as server: { url, remoteId, token }.
+
+const SYNC_STATUS_LABELS = {
+    synced: '☁ 同期済み',
+    pending: '⏳ 送信中',
+    offline: '📴 オフライン（変更はつながったときに送信します）',
+    error: '⚠ 同期できません'
+};
+
+function startServerSync() {
+    const config = currentWorkspace().server;
+    if (!config) return;
+    state.remote = new RemoteStore(state, config, currentWorkspace().name);
+    state.remote.onStatus = renderSyncStatus;
+    state.remote.onUpdate = () => {
+        engine.invalidateFrom(); // Any day may have changed
+        if (state.members.length > 0 && document.getElementById('setup-count')) closeModal();
+        renderApp();
+        renderPointerUI();
+    };
+    setInterval(() => state.remote.sync(), SYNC_INTERVAL);
+    window.addEventListener('online', () => state.remote.sync());
+    window.addEventListener('focus', () => state.remote.sync());
+    renderSyncStatus();
+    state.remote.sync();
+}
+
+function renderSyncStatus() {
+    const badge = document.getElementById('sync-status');
+    if (!badge) return;
+    badge.classList.toggle('hidden', !state.remote);
+    if (!state.remote) return;
+    badge.textContent = SYNC_STATUS_LABELS[state.remote.status];
+    badge.title = state.remote.message || `${state.remote.config.url} / ${state.remote.config.remoteId} (リビジョン ${state.remote.revision})`;
+}
+
+function renderServerSection() {
+    const config = currentWorkspace().server;
+    const body = config ? `
+        <p class="text-xs text-gray-300 mb-2">${escapeHtml(config.url)} のクラス「${escapeHtml(config.remoteId)}」と同期しています（${SYNC_STATUS_LABELS[state.remote ? state.remote.status : 'pending']}）。</p>
+        <button onclick="disconnectServer()" class="text-xs px-3 py-1 bg-gray-700 hover:bg-gray-600 rounded">接続を解除</button>
+    ` : `
+        <p class="text-xs text-gray-500 mb-2">ほかの PC と「${escapeHtml(currentWorkspace().name)}」を共有します。サーバーは <code>roster serve</code> で起動します。</p>
+        <div class="grid grid-cols-[auto_1fr] items-center gap-2 text-xs">
+            <label class="text-gray-400">アドレス</label>
+            <input id="server-url" type="url" value="${location.protocol.startsWith('http') ? escapeHtml(location.origin) : ''}" placeholder="http://192.168.0.10:8080" class="bg-gray-900 border border-gray-600 rounded px-2 py-1 text-white">
+            <label class="text-gray-400">サーバー上の名前</label>
+            <input id="server-id" type="text" value="${currentWorkspace().id}" placeholder="2-1 (英数字・-・_)" class="bg-gray-900 border border-gray-600 rounded px-2 py-1 text-white">
+            <label class="text-gray-400">合言葉</label>
+            <input id="server-token" type="password" placeholder="サーバーで --token を指定したとき" class="bg-gray-900 border border-gray-600 rounded px-2 py-1 text-white">
+        </div>
+        <button onclick="connectServer()" class="text-xs px-3 py-1 mt-2 bg-indigo-600 hover:bg-indigo-500 rounded">接続</button>
+    `;
+    return `<h3 class="text-sm font-bold text-gray-300 mt-5 mb-2">共有サーバー</h3>${body}`;
+}
+
+// A class that already exists on the server replaces the local data; otherwise the local
+// data is uploaded as the server's first revision.
+async function connectServer() {
+    const config = {
+        url: document.getElementById('server-url').value.trim(),
+        remoteId: document.getElementById('server-id').value.trim(),
+        token: document.getElementById('server-token').value
+    };
+    if (!/^https?:\/\//.test(config.url)) {
+        alert('アドレスは http:// または https:// で始めてください');
+        return;
+    }
+    if (!/^[A-Za-z0-9_-]{1,64}$/.test(config.remoteId)) {
+        alert('サーバー上の名前は英数字・「-」・「_」で入力してください');
+        return;
+    }
+
+    localStorage.removeItem(state.storageKeys.sync);
+    const remote = new RemoteStore(state, config, currentWorkspace().name);
+    let response;
+    try {
+        response = await remote.request('GET');
+    } catch (e) {
+        alert(`サーバーに接続できません: ${config.url}`);
+        return;
+    }
+    const body = await response.json().catch(() => ({}));
+    if (response.ok) {
+        if (!confirm(`サーバーの「${body.name}」（${body.state.members.length}人）に接続します。\nこの PC の「${currentWorkspace().name}」のデータは、サーバーの内容に置き換わります。`)) return;
+        remote.take(body.revision, body.state);
+    } else if (response.status === 404) {
+        remote.pending = true; // First upload (revision 0)
+        remote.persist();
+    } else {
+        alert(`接続できません: ${body.error || `HTTP ${response.status}`}`);
+        return;
+    }
+
+    currentWorkspace().server = config;
+    saveWorkspaces(workspaces);
+    location.reload();
+}
+
+function disconnectServer() {
+    if (!confirm('サーバーとの接続を解除しますか？\nこの PC のデータはそのまま残り、以後はこの PC だけで保存されます。')) return;
+    delete currentWorkspace().server;
+    localStorage.removeItem(state.storageKeys.sync);
+    saveWorkspaces(workspaces);
+    location.reload();
+}
+
+// --- Data Persistence ---
+function exportData() {
+    const data = JSON.stringify({
+        schemaVersion: SCHEMA_VERSION,
+        workspace: currentWorkspace().name, // Suggested name when imported as a new class
+        members: state.members,
+        pointers: state.pointers,
+        debts: state.debts, // Debts are important to keep
+        settings: state.settings,
+        ledger: state.ledger
+    }, null, 2);
+
+    downloadFile(`roster_v3_${currentWorkspace().name}_${new Date().toISOString().split('T')[0]}.json`, data, 'application/json');
+}
+
+function downloadFile(filename, content, type) {
+    const blob = new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+}
+
+// Imported data waiting for the user to pick how to apply it
+let pendingImport = null;
+
+function importData(input) {
+    const file = input.files[0];
+    if (!file) return;
+    input.value = ''; // Allow choosing the same file again
+
+    const reader = new FileReader();
+    reader.onload = function (e) {
+        const { data, bundle, errors } = parseImport(e.target.result);
+        if (errors.length > 0) {
+            const shown = errors.slice(0, 10).map(msg => `・${msg}`).join('\n');
+            const more = errors.length > 10 ? `\n…ほか${errors.length - 10}件` : '';
+            alert(`ファイルを読み込めませんでした（現在のデータは変更されていません）:\n${shown}${more}`);
+            return;
+        }
+        if (bundle) {
+            pendingImport = bundle;
+            showWorkspaceImportPreview(bundle);
+            return;
+        }
+        pendingImport = data;
+        showImportPreview(data);
+    };
+    reader.readAsText(file);
+}
+
+// JSON text -> migrated data (or, for an all-classes file, `bundle`) plus any validation errors
+function parseImport(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (err) {
+        return { data: null, errors: ['JSONファイルとして読み込めません'] };
+    }
+    if (data && Array.isArray(data.workspaces)) {
+        const errors = data.workspaces.flatMap((ws, i) => {
+            const name = ws && typeof ws.name === 'string' ? ws.name : `${i + 1}番目のクラス`;
+            return checkImportedState(ws && ws.state).map(msg => `${name}: ${msg}`);
+        });
+        if (data.workspaces.length === 0) errors.push('クラスが1つも入っていません');
+        return { data: null, bundle: data, errors };
+    }
+    return { data, errors: checkImportedState(data) };
+}
+
+// Migrates one exported state in place; returns its validation errors
+function checkImportedState(data) {
+    if (!data || typeof data !== 'object' || !Array.isArray(data.members) || !data.pointers) {
+        return ['当番表のデータではありません (members / pointers がありません)'];
+    }
+    try {
+        migrateState(data);
+    } catch (err) {
+        return [`古い形式からの変換に失敗しました: ${err.message}`];
+    }
+    return validateStateData(data);
+}
+
+// A validated import as the complete state of a new class (files may leave out debts, settings, ledger)
+function importedWorkspaceState(data) {
+    const { workspace, ...imported } = data;
+    return normalizeState(imported);
+}
+
+function showWorkspaceImportPreview(bundle) {
+    const names = escapeHtml(bundle.workspaces.map(ws => `${ws.name} (${ws.state.members.length}人)`).join('、'));
+    openModal(`
+        <h2 class="text-xl font-bold mb-4 text-white">全クラスのインポート</h2>
+        <p class="text-sm text-gray-300 mb-4">${names}</p>
+        <div class="flex flex-col gap-2">
+            <button onclick="applyWorkspaceImport('add')" class="w-full bg-indigo-600 hover:bg-indigo-500 py-2 rounded text-white font-bold">新しいクラスとして追加</button>
+            <button onclick="applyWorkspaceImport('replace')" class="w-full bg-gray-700 hover:bg-gray-600 py-2 rounded text-white text-sm">今あるクラスを全て置き換える</button>
+            <button onclick="closeModal(); pendingImport = null;" class="w-full py-2 rounded text-gray-400 hover:bg-white/5 text-sm">キャンセル</button>
+        </div>
+    `, true);
+}
+
+function applyWorkspaceImport(mode) {
+    const bundle = pendingImport;
+    if (!bundle) return;
+    if (mode === 'replace' && !confirm('今あるクラスのデータは全て消えます。よろしいですか？')) return;
+    pendingImport = null;
+
+    if (mode === 'replace') {
+        // Everything stored for the old classes goes, like removeWorkspace: a sync base or
+        // announcement log left behind would be picked up by a new class that reuses the id
+        workspaces.list.forEach(ws => {
+            Object.values(workspaceStorageKeys(ws.id)).forEach(key => localStorage.removeItem(key));
+        });
+        workspaces.list = [];
+    }
+    const ids = bundle.workspaces.map(ws => createWorkspace(ws.name, importedWorkspaceState(ws.state)));
+    if (mode === 'replace') workspaces.current = ids[0];
+    saveWorkspaces(workspaces);
+    closeModal();
+
+    alert(`${ids.length}クラスを取り込みました。ページをリロードします。`);
+    location.reload();
+}
+
+// What would change if `incoming` replaced the current state
+function diffImport(incoming) {
+    const current = state;
+    const byId = list => Object.fromEntries(list.map(m => [m.id, m]));
+    const currentMembers = byId(current.members);
+    const incomingMembers = byId(incoming.members);
+
+    const members = {
+        added: incoming.members.filter(m => !currentMembers[m.id]),
+        removed: current.members.filter(m => !incomingMembers[m.id]),
+        renamed: incoming.members.filter(m => currentMembers[m.id] && currentMembers[m.id].name !== m.name),
+        activeChanged: incoming.members.filter(m => currentMembers[m.id] && currentMembers[m.id].active !== m.active)
+    };
+    // Different class? Few of the names would match
+    const currentNames = new Set(current.members.map(m => m.name));
+    const sameNames = incoming.members.filter(m => currentNames.has(m.name)).length;
+    const looksForeign = current.members.length > 0 && sameNames < Math.min(current.members.length, incoming.members.length) / 2;
+
+    const pointers = [...new Set([...Object.keys(current.pointers), ...Object.keys(incoming.pointers)])]
+        .filter(key => (current.pointers[key] || 0) !== (incoming.pointers[key] || 0))
+        .map(key => ({ key, from: current.pointers[key] || 0, to: incoming.pointers[key] || 0 }));
+
+    const debts = [];
+    const incomingDebts = incoming.debts || {};
+    [...new Set([...Object.keys(current.debts), ...Object.keys(incomingDebts)])].forEach(id => {
+        const a = current.debts[id] || {};
+        const b = incomingDebts[id] || {};
+        [...new Set([...Object.keys(a), ...Object.keys(b)])].forEach(key => {
+            if ((a[key] || 0) !== (b[key] || 0)) debts.push({ id, key, from: a[key] || 0, to: b[key] || 0 });
+        });
+    });
+
+    const currentDays = current.settings.daySettings;
+    const incomingDays = incoming.settings?.daySettings || {};
+    const days = {
+        added: Object.keys(incomingDays).filter(k => !currentDays[k]).sort(),
+        removed: Object.keys(currentDays).filter(k => !incomingDays[k]).sort(),
+        changed: Object.keys(incomingDays).filter(k => currentDays[k] && JSON.stringify(currentDays[k]) !== JSON.stringify(incomingDays[k])).sort()
+    };
+
+    const roleNames = roles => (roles || CONFIG.roles).map(r => r.name).join(' / ');
+    const roles = roleNames(current.roles) !== roleNames(incoming.settings?.roles)
+        ? { from: roleNames(current.roles), to: roleNames(incoming.settings?.roles) }
+        : null;
+
+    const ledger = { from: Object.keys(current.ledger).length, to: Object.keys(incoming.ledger || {}).length };
+
+    return { members, looksForeign, pointers, debts, days, roles, ledger };
+}
+
+function showImportPreview(incoming) {
+    const diff = diffImport(incoming);
+    const nameOf = id => incoming.members.find(m => m.id === id)?.name || state.memberName(id);
+    const list = (items, max = 8) => items.length === 0
+        ? '<span class="text-gray-600">なし</span>'
+        : items.slice(0, max).map(escapeHtml).join('、') + (items.length > max ? ` …ほか${items.length - max}件` : '');
+
+    const section = (title, body) => `
+        <div class="mb-3">
+            <h3 class="text-sm font-bold text-gray-300 mb-1">${title}</h3>
+            <div class="text-xs text-gray-400 space-y-1">${body}</div>
+        </div>
+    `;
+
+    const html = `
+        <h2 class="text-xl font-bold mb-4 text-white">インポートの確認</h2>
+        ${diff.looksForeign ? '<p class="mb-4 p-2 rounded bg-red-900/40 border border-red-800/50 text-red-300 text-sm">⚠️ メンバーの名前がほとんど一致しません。別のクラスのデータではありませんか？</p>' : ''}
+        <div class="max-h-[50vh] overflow-y-auto pr-2">
+            ${section('メンバー', `
+                <p>追加: ${list(diff.members.added.map(m => m.name))}</p>
+                <p>削除: ${list(diff.members.removed.map(m => m.name))}</p>
+                <p>名前変更: ${list(diff.members.renamed.map(m => `${state.memberName(m.id)} → ${m.name}`))}</p>
+                <p>有効/無効の変更: ${list(diff.members.activeChanged.map(m => `${m.name}(${m.active ? '有効' : '無効'})`))}</p>
+            `)}
+            ${diff.roles ? section('役割', `<p>${escapeHtml(diff.roles.from)}<br>→ ${escapeHtml(diff.roles.to)}</p>`) : ''}
+            ${section('ポインタ', `<p>${list(diff.pointers.map(p => `${pointerLabel(p.key)}: ${p.from} → ${p.to}`))}</p>`)}
+            ${section('負債', `<p>${list(diff.debts.map(d => `${nameOf(d.id)} ${pointerLabel(d.key)}: ${d.from} → ${d.to}`))}</p>`)}
+            ${section('日ごとの設定', `
+                <p>追加: ${list(diff.days.added)}</p>
+                <p>削除: ${list(diff.days.removed)}</p>
+                <p>変更: ${list(diff.days.changed)}</p>
+            `)}
+            ${section('確定済みの日', `<p>${diff.ledger.from}日 → ${diff.ledger.to}日</p>`)}
+        </div>
+        <div class="flex flex-col gap-2 mt-4">
+            <button onclick="applyImport('replace')" class="w-full bg-indigo-600 hover:bg-indigo-500 py-2 rounded text-white font-bold">全て置き換える</button>
+            <button onclick="applyImport('days')" class="w-full bg-gray-700 hover:bg-gray-600 py-2 rounded text-white text-sm">日ごとの設定だけ取り込む（休日・掃除なし・欠席）</button>
+            <button onclick="applyImport('members')" class="w-full bg-gray-700 hover:bg-gray-600 py-2 rounded text-white text-sm">メンバーだけ取り込む（追加・名前・有効/無効）</button>
+            <button onclick="applyImport('workspace')" class="w-full bg-gray-700 hover:bg-gray-600 py-2 rounded text-white text-sm">新しいクラスとして追加する（${escapeHtml(incoming.workspace || '取り込んだクラス')}）</button>
+            <button onclick="closeModal(); pendingImport = null;" class="w-full py-2 rounded text-gray-400 hover:bg-white/5 text-sm">キャンセル</button>
+        </div>
+    `;
+    openModal(html, true);
+}
+
+function applyImport(mode) {
+    const data = pendingImport;
+    if (!data) return;
+    pendingImport = null;
+
+    if (mode === 'workspace') {
+        // Leaves the current class alone and opens the imported one
+        workspaces.current = createWorkspace(data.workspace || '取り込んだクラス', importedWorkspaceState(data));
+        saveWorkspaces(workspaces);
+        closeModal();
+        alert('新しいクラスとして取り込みました。ページをリロードします。');
+        location.reload();
+        return;
+    }
+
+    if (mode === 'replace') {
+        state.members = data.members;
+        state.pointers = data.pointers;
+        state.debts = data.debts || {};
+        state.settings = data.settings || state.settings;
+        state.ledger = data.ledger || {};
+        state.normalize();
+        // Undo snapshots leave out the ledger, which was replaced too: no earlier step fits any more
+        state.history = { undo: [], redo: [] };
+        state.save();
+    } else if (mode === 'days') {
+        // Imported days win; confirmed days and unknown absentees are left out
+        const knownIds = new Set(state.members.map(m => m.id));
+        let skippedLocked = 0;
+        state.record('インポート (日ごとの設定)', () => {
+            Object.entries(data.settings?.daySettings || {}).forEach(([key, ds]) => {
+                if (state.isLocked(key)) {
+                    skippedLocked++;
+                    return;
+                }
+                const merged = { ...ds };
+                if (ds.absentees) merged.absentees = ds.absentees.filter(id => knownIds.has(id));
+                state.settings.daySettings[key] = merged;
+            });
+            state.normalize();
+        });
+        if (skippedLocked > 0) alert(`確定済みの ${skippedLocked} 日分は取り込みませんでした。`);
+    } else if (mode === 'members') {
+        // Update people we have by ID, append new ones at the end so pointer positions stay put
+        state.record('インポート (メンバー)', () => {
+            data.members.forEach(m => {
+                const existing = state.memberById(m.id);
+                if (existing) {
+                    Object.assign(existing, m);
+                } else {
+                    state.members.push({ ...m });
+                }
+            });
+            state.normalize();
+        });
+    }
+    closeModal();
+
+    alert('データを取り込みました。ページをリロードします。');
+    location.reload();
 }
 
 // Init
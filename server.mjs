@@ -0,0 +1,498 @@
+/**
+ * Cleaning Roster Server (roster serve)
+ * Optional self-hosted store, so that several PCs (homeroom teacher, assistant) share one roster.
+ * Each class is kept as <data>/<id>.json: { id, name, revision, updatedAt, state, webhookToken? }.
+ * Every write names the revision it was based on (If-Match) and is refused with 409 when someone
+ * else saved in between, so nobody overwrites another person's edits without noticing.
+ * The web app itself is served from /, so browsers on the school network can simply open it.
+ *
+ *   GET    /api/workspaces                       classes: [{ id, name, revision, updatedAt }]
+ *   GET    /api/workspaces/:id                   { id, name, revision, updatedAt, state }
+ *   PUT    /api/workspaces/:id                   { name?, state }  (If-Match: "0" creates)
+ *   GET    /api/workspaces/:id/members           members
+ *   POST   /api/workspaces/:id/members           { name, kana?, studentNumber?, tags?, startDate? } -> added member
+ *   PATCH  /api/workspaces/:id/members/:memberId { name?, kana?, active?, tags?, startDate? }
+ *   GET    /api/workspaces/:id/days/:date        that day's settings ({} when none)
+ *   PUT    /api/workspaces/:id/days/:date        { isHoliday?, noCleaning?, absentees?, overrides? }
+ *   GET    /api/workspaces/:id/schedule?from=&to=  computed schedule (as `roster schedule --format json`)
+ *   GET    /api/workspaces/:id/announcement?date=    { date, text, request } and the recent log
+ *   POST   /api/workspaces/:id/announcement        { date?, dryRun? } posts to the class's webhook
+ *   PUT    /api/workspaces/:id/webhook-token       { token } the webhook's token ('' removes it)
+ *
+ * Writes answer { revision } and every class resource carries its revision as the ETag.
+ * Classes with an enabled webhook get their announcement posted at its time on school days
+ * (see announcement.js); that bookkeeping is kept beside the state and does not bump the revision.
+ * So is the webhook's token, a secret that no response contains (see takeWebhookToken).
+ */
+import { createServer } from 'node:http';
+import { existsSync, mkdirSync, readFileSync, readdirSync, renameSync, writeFileSync } from 'node:fs';
+import { dirname, extname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import {
+    generateMemberId,
+    lastConfirmedKey,
+    localDateValue,
+    migrateState,
+    normalizeState,
+    parseLocalDate,
+    takeWebhookToken,
+    validateStateData,
+    RosterEngine
+} from './engine.mjs';
+import exporter from './schedule-export.js';
+import announcer from './announcement.js';
+
+const APP_DIR = dirname(fileURLToPath(import.meta.url));
+const APP_FILES = { '.html': 'text/html; charset=utf-8', '.js': 'text/javascript; charset=utf-8', '.css': 'text/css; charset=utf-8' };
+const WORKSPACE_ID = /^[A-Za-z0-9_-]{1,64}$/;
+const MAX_BODY = 10 * 1024 * 1024;
+const MAX_SCHEDULE_DAYS = 400;
+const ANNOUNCE_CHECK = 60 * 1000; // ms between checks for announcements that are due
+const ANNOUNCE_GRACE = 30; // Minutes after the time an announcement is still posted (server started late)
+const ANNOUNCE_LOG_LIMIT = 20;
+const WEBHOOK_TIMEOUT = 10 * 1000; // ms a webhook may take to answer before the post is given up
+
+class HttpError extends Error {
+    constructor(status, message, details = {}) {
+        super(message);
+        this.status = status;
+        this.details = details;
+    }
+}
+
+function send(res, status, body, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', ...headers });
+    res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY) reject(new HttpError(413, 'データが大きすぎます'));
+            else chunks.push(chunk);
+        });
+        req.on('end', () => {
+            try {
+                resolve(chunks.length > 0 ? JSON.parse(Buffer.concat(chunks).toString('utf8')) : {});
+            } catch (e) {
+                reject(new HttpError(400, `JSON を読み込めません: ${e.message}`));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+// If-Match: "3" -> 3. Writes without one are refused: the client must say what it last saw.
+function expectedRevision(req) {
+    const header = req.headers['if-match'];
+    if (header === undefined) throw new HttpError(428, 'If-Match (元にしたリビジョン) を指定してください');
+    const revision = Number(String(header).replace(/^W\//, '').replace(/"/g, ''));
+    if (!Number.isInteger(revision) || revision < 0) throw new HttpError(400, `If-Match が正しくありません: ${header}`);
+    return revision;
+}
+
+// Member attributes for eligibility rules: tags: [string] and startDate: "YYYY-MM-DD", either
+// cleared with null / []. Anything else is left to the state validation (400).
+function applyMemberAttributes(member, body) {
+    if (body.tags !== undefined) {
+        if (Array.isArray(body.tags) && body.tags.length > 0) member.tags = body.tags;
+        else if (body.tags === null || Array.isArray(body.tags)) delete member.tags;
+        else member.tags = body.tags;
+    }
+    if (body.startDate !== undefined) {
+        if (body.startDate === null || body.startDate === '') delete member.startDate;
+        else member.startDate = body.startDate;
+    }
+}
+
+// decodeURIComponent that answers 400 for a malformed escape (e.g. "%E0%A4%A") instead of throwing
+function decodedSegment(segment) {
+    try {
+        return decodeURIComponent(segment);
+    } catch (e) {
+        throw new HttpError(400, `URL が正しくありません: ${segment}`);
+    }
+}
+
+function checkedState(data) {
+    const errors = validateStateData(data);
+    if (errors.length > 0) throw new HttpError(400, 'データの形式が正しくありません', { errors });
+    return normalizeState(data);
+}
+
+// The stored request without the token, for responses and the log
+function maskedRequest(request) {
+    const headers = { ...request.headers };
+    if (headers.Authorization) headers.Authorization = 'Bearer ********';
+    return { ...request, headers };
+}
+
+function minutesOf(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+export function createRosterServer({ dataDir, token = null, appDir = APP_DIR }) {
+    mkdirSync(dataDir, { recursive: true });
+
+    const fileOf = id => join(dataDir, `${id}.json`);
+
+    // Classes stored before a schema change are upgraded as they are read (and saved so on the next write)
+    function read(id) {
+        if (!WORKSPACE_ID.test(id)) throw new HttpError(400, `クラスの id が正しくありません: ${id}`);
+        if (!existsSync(fileOf(id))) return null;
+        const record = JSON.parse(readFileSync(fileOf(id), 'utf8'));
+        migrateState(record.state);
+        const token = takeWebhookToken(record.state);
+        if (token && !record.webhookToken) record.webhookToken = token;
+        return record;
+    }
+
+    function readExisting(id) {
+        const record = read(id);
+        if (!record) throw new HttpError(404, `クラス「${id}」はありません`);
+        return record;
+    }
+
+    // Written whole and renamed into place, so a crash never leaves half a file
+    function write(record) {
+        const file = fileOf(record.id);
+        writeFileSync(`${file}.tmp`, JSON.stringify(record));
+        renameSync(`${file}.tmp`, file);
+    }
+
+    // Ids of the stored classes; other files in the folder (backups, "copy of 3-2.json") are ignored
+    function storedIds() {
+        return readdirSync(dataDir)
+            .filter(file => file.endsWith('.json'))
+            .map(file => file.slice(0, -'.json'.length))
+            .filter(id => WORKSPACE_ID.test(id));
+    }
+
+    function checkRevision(req, record) {
+        const revision = record ? record.revision : 0;
+        if (expectedRevision(req) !== revision) {
+            throw new HttpError(409, 'ほかの端末で先に変更されています', record ? { revision, state: record.state } : { revision });
+        }
+    }
+
+    // Revision-checked edit of a stored class: `mutate(state)` changes a copy, which is validated
+    // before it is saved. Everything here is synchronous, so two requests never interleave.
+    function update(req, id, mutate) {
+        const record = readExisting(id);
+        checkRevision(req, record);
+        const state = JSON.parse(JSON.stringify(record.state));
+        const result = mutate(state);
+        record.state = checkedState(state);
+        record.revision++;
+        record.updatedAt = new Date().toISOString();
+        write(record);
+        return { revision: record.revision, result };
+    }
+
+    const summary = record => ({ id: record.id, name: record.name, revision: record.revision, updatedAt: record.updatedAt });
+    const etag = revision => ({ ETag: `"${revision}"` });
+
+    function listWorkspaces() {
+        const records = storedIds().map(read).filter(Boolean);
+        return [200, records.map(summary)];
+    }
+
+    function getWorkspace(req, id) {
+        const record = readExisting(id);
+        if (req.headers['if-none-match'] === `"${record.revision}"`) return [304, undefined, etag(record.revision)];
+        return [200, { ...summary(record), state: record.state }, etag(record.revision)];
+    }
+
+    async function putWorkspace(req, id) {
+        const body = await readBody(req);
+        const record = read(id);
+        checkRevision(req, record);
+        if (!body.state || typeof body.state !== 'object') throw new HttpError(400, 'state がありません');
+        // Clients from before the token was kept apart still send it inside the state
+        const webhookToken = takeWebhookToken(body.state) || (record && record.webhookToken);
+        const state = checkedState(migrateState(body.state));
+        const next = {
+            id,
+            name: typeof body.name === 'string' && body.name.trim() ? body.name.trim() : (record ? record.name : id),
+            revision: (record ? record.revision : 0) + 1,
+            updatedAt: new Date().toISOString(),
+            state
+        };
+        if (record && record.announcements) next.announcements = record.announcements;
+        if (webhookToken) next.webhookToken = webhookToken;
+        write(next);
+        return [record ? 200 : 201, { revision: next.revision }, etag(next.revision)];
+    }
+
+    function getMembers(req, id) {
+        const record = readExisting(id);
+        return [200, record.state.members, etag(record.revision)];
+    }
+
+    // New members go to the end of the list, so every pointer stays on the same person
+    async function addMember(req, id) {
+        const body = await readBody(req);
+        if (typeof body.name !== 'string' || !body.name.trim()) throw new HttpError(400, '名前 (name) を指定してください');
+        const { revision, result } = update(req, id, state => {
+            const member = {
+                id: generateMemberId(state.members),
+                studentNumber: Number.isInteger(body.studentNumber)
+                    ? body.studentNumber
+                    : state.members.reduce((max, m) => Math.max(max, m.studentNumber || 0), 0) + 1,
+                name: body.name.trim(),
+                active: true
+            };
+            if (typeof body.kana === 'string' && body.kana.trim()) member.kana = body.kana.trim();
+            applyMemberAttributes(member, body);
+            state.members.push(member);
+            return member;
+        });
+        return [201, result, etag(revision)];
+    }
+
+    async function updateMember(req, id, memberId) {
+        const body = await readBody(req);
+        const { revision, result } = update(req, id, state => {
+            const member = state.members.find(m => m.id === memberId);
+            if (!member) throw new HttpError(404, `メンバー「${memberId}」はいません`);
+            if (body.name !== undefined) {
+                if (typeof body.name !== 'string' || !body.name.trim()) throw new HttpError(400, '名前 (name) が空です');
+                member.name = body.name.trim();
+            }
+            if (body.kana !== undefined) {
+                if (typeof body.kana === 'string' && body.kana.trim()) member.kana = body.kana.trim();
+                else delete member.kana;
+            }
+            if (body.active !== undefined) {
+                if (typeof body.active !== 'boolean') throw new HttpError(400, 'active は true / false です');
+                member.active = body.active;
+            }
+            applyMemberAttributes(member, body);
+            return member;
+        });
+        return [200, result, etag(revision)];
+    }
+
+    function getDay(req, id, dateKey) {
+        const record = readExisting(id);
+        return [200, record.state.settings.daySettings[dateKey] || {}, etag(record.revision)];
+    }
+
+    // Replaces the day's settings as a whole; an empty object clears them. Confirmed days are frozen.
+    async function putDay(req, id, dateKey) {
+        const body = await readBody(req);
+        if (!body || typeof body !== 'object' || Array.isArray(body)) throw new HttpError(400, '日の設定はオブジェクトで指定してください');
+        const { revision } = update(req, id, state => {
+            const last = lastConfirmedKey(state);
+            if (last !== null && dateKey <= last) throw new HttpError(423, `${dateKey} は確定済みです`);
+            if (Object.keys(body).length === 0) delete state.settings.daySettings[dateKey];
+            else state.settings.daySettings[dateKey] = body;
+        });
+        return [200, { revision }, etag(revision)];
+    }
+
+    function getSchedule(req, id, query) {
+        const record = readExisting(id);
+        const dateOption = name => {
+            const value = query.get(name);
+            if (value === null) return null;
+            if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) throw new HttpError(400, `${name} は YYYY-MM-DD 形式で指定してください: ${value}`);
+            return parseLocalDate(value);
+        };
+        const today = new Date();
+        const from = dateOption('from') || new Date(today.getFullYear(), today.getMonth(), 1);
+        const to = dateOption('to') || new Date(from.getFullYear(), from.getMonth() + 1, 0);
+        if (to < from) throw new HttpError(400, 'to が from より前です');
+        if ((to - from) / (24 * 60 * 60 * 1000) >= MAX_SCHEDULE_DAYS) throw new HttpError(400, `期間は ${MAX_SCHEDULE_DAYS} 日までです`);
+
+        const engine = new RosterEngine(record.state);
+        const days = exporter.scheduleDays(record.state, engine.simulateRange(from, to));
+        return [200, { from: localDateValue(from), to: localDateValue(to), days }, etag(record.revision)];
+    }
+
+    // { date, text, request } for the class's announcement on `dateKey` (text is null on holidays)
+    function announcementFor(record, dateKey) {
+        const date = parseLocalDate(dateKey);
+        const [day] = new RosterEngine(record.state).simulateRange(date, date);
+        const text = announcer.announcementText(record.state, day, { className: record.name });
+        const webhook = record.state.settings.announcement.webhook;
+        const request = text === null || !webhook.url
+            ? null
+            : announcer.webhookRequest({ ...webhook, token: record.webhookToken || '' }, text, day, record.state);
+        return { date: dateKey, text, request };
+    }
+
+    // Re-read before writing: the post may take a while and the class may have been saved meanwhile
+    function logAnnouncement(id, entry, announcedOn = null) {
+        const record = read(id);
+        if (!record) return;
+        const log = record.announcements || { announcedOn: null, log: [] };
+        if (announcedOn) log.announcedOn = announcedOn;
+        if (entry) log.log = [entry, ...log.log].slice(0, ANNOUNCE_LOG_LIMIT);
+        record.announcements = log;
+        write(record);
+    }
+
+    // Posts (or, dry run, only prepares) the announcement and logs the outcome
+    async function announce(id, dateKey, dryRun) {
+        const { text, request } = announcementFor(readExisting(id), dateKey);
+        const entry = { at: new Date().toISOString(), date: dateKey, dryRun, status: null, error: null, text };
+        if (text === null) entry.error = '休みの日です';
+        else if (!request) entry.error = '送信先 (webhook) が設定されていません';
+        else if (!dryRun) {
+            try {
+                const response = await fetch(request.url, {
+                    method: 'POST',
+                    headers: request.headers,
+                    body: request.body,
+                    signal: AbortSignal.timeout(WEBHOOK_TIMEOUT)
+                });
+                entry.status = response.status;
+                if (!response.ok) entry.error = `HTTP ${response.status}`;
+            } catch (e) {
+                entry.error = e.name === 'TimeoutError'
+                    ? `送信できません: ${WEBHOOK_TIMEOUT / 1000}秒待っても応答がありません`
+                    : `送信できません: ${e.cause ? e.cause.message : e.message}`;
+            }
+        }
+        logAnnouncement(id, entry);
+        return { ...entry, request: request && maskedRequest(request) };
+    }
+
+    function getAnnouncement(req, id, query) {
+        const record = readExisting(id);
+        const dateKey = query.get('date') || localDateValue(new Date());
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(dateKey)) throw new HttpError(400, `date は YYYY-MM-DD 形式で指定してください: ${dateKey}`);
+        const { text, request } = announcementFor(record, dateKey);
+        const log = record.announcements ? record.announcements.log : [];
+        return [200, { date: dateKey, text, request: request && maskedRequest(request), log }, etag(record.revision)];
+    }
+
+    async function postAnnouncement(req, id) {
+        const body = await readBody(req);
+        const dateKey = body.date || localDateValue(new Date());
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(dateKey)) throw new HttpError(400, `date は YYYY-MM-DD 形式で指定してください: ${dateKey}`);
+        readExisting(id);
+        return [200, await announce(id, dateKey, body.dryRun === true)];
+    }
+
+    async function putWebhookToken(req, id) {
+        const body = await readBody(req);
+        if (typeof body.token !== 'string') throw new HttpError(400, 'token が文字列ではありません');
+        const record = readExisting(id);
+        if (body.token.trim()) record.webhookToken = body.token.trim();
+        else delete record.webhookToken;
+        write(record);
+        return [200, { webhookToken: !!record.webhookToken }];
+    }
+
+    // Every class whose webhook time has come today and that wasn't announced yet. Marked as
+    // announced before posting, so a slow webhook is never posted to twice.
+    async function postDueAnnouncements() {
+        const now = new Date();
+        const today = localDateValue(now);
+        const minutes = now.getHours() * 60 + now.getMinutes();
+        const records = storedIds().map(read);
+        for (const record of records) {
+            const webhook = record && record.state.settings.announcement.webhook;
+            if (!webhook || !webhook.enabled || !webhook.url || !webhook.time) continue;
+            if (record.announcements && record.announcements.announcedOn === today) continue;
+            const late = minutes - minutesOf(webhook.time);
+            if (late < 0 || late > ANNOUNCE_GRACE) continue;
+
+            logAnnouncement(record.id, null, today);
+            if (announcementFor(record, today).text === null) continue; // Holiday: nothing to say
+            await announce(record.id, today, false);
+        }
+    }
+
+    const routes = [
+        ['GET', /^\/api\/workspaces$/, listWorkspaces],
+        ['GET', /^\/api\/workspaces\/([^/]+)$/, getWorkspace],
+        ['PUT', /^\/api\/workspaces\/([^/]+)$/, putWorkspace],
+        ['GET', /^\/api\/workspaces\/([^/]+)\/members$/, getMembers],
+        ['POST', /^\/api\/workspaces\/([^/]+)\/members$/, addMember],
+        ['PATCH', /^\/api\/workspaces\/([^/]+)\/members\/([^/]+)$/, updateMember],
+        ['GET', /^\/api\/workspaces\/([^/]+)\/days\/(\d{4}-\d{2}-\d{2})$/, getDay],
+        ['PUT', /^\/api\/workspaces\/([^/]+)\/days\/(\d{4}-\d{2}-\d{2})$/, putDay],
+        ['GET', /^\/api\/workspaces\/([^/]+)\/schedule$/, getSchedule],
+        ['GET', /^\/api\/workspaces\/([^/]+)\/announcement$/, getAnnouncement],
+        ['POST', /^\/api\/workspaces\/([^/]+)\/announcement$/, postAnnouncement],
+        ['PUT', /^\/api\/workspaces\/([^/]+)\/webhook-token$/, putWebhookToken]
+    ];
+
+    async function handleApi(req, res, url) {
+        // The app may also be opened from disk (file://), i.e. from another origin
+        const cors = {
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Methods': 'GET, PUT, POST, PATCH, OPTIONS',
+            'Access-Control-Allow-Headers': 'Content-Type, Authorization, If-Match, If-None-Match',
+            'Access-Control-Expose-Headers': 'ETag'
+        };
+        if (req.method === 'OPTIONS') return send(res, 204, undefined, cors);
+
+        try {
+            if (token && req.headers.authorization !== `Bearer ${token}`) throw new HttpError(401, '合言葉 (トークン) が違います');
+            const path = url.pathname.replace(/\/$/, '');
+            const matching = routes.filter(([, pattern]) => pattern.test(path));
+            if (matching.length === 0) throw new HttpError(404, `${url.pathname} はありません`);
+            const route = matching.find(([method]) => method === req.method);
+            if (!route) throw new HttpError(405, `${req.method} は使えません`);
+
+            const params = route[1].exec(path).slice(1).map(decodedSegment);
+            const [status, body, headers = {}] = await route[2](req, ...params, url.searchParams);
+            send(res, status, body, { ...cors, ...headers });
+        } catch (e) {
+            if (!(e instanceof HttpError)) console.error(e);
+            const status = e instanceof HttpError ? e.status : 500;
+            send(res, status, { error: e.message, ...(e.details || {}) }, cors);
+        }
+    }
+
+    // Only the app's own top-level files (index.html, *.js, style.css)
+    function serveApp(req, res, url) {
+        let name;
+        try {
+            name = url.pathname === '/' ? 'index.html' : decodedSegment(url.pathname.slice(1));
+        } catch (e) {
+            res.writeHead(e.status, { 'Content-Type': 'text/plain; charset=utf-8' });
+            res.end('Bad Request');
+            return;
+        }
+        const file = join(appDir, name);
+        if (req.method !== 'GET' || name.includes('/') || !APP_FILES[extname(name)] || !existsSync(file)) {
+            res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+            res.end('Not Found');
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': APP_FILES[extname(name)], 'Cache-Control': 'no-cache' });
+        res.end(readFileSync(file));
+    }
+
+    const server = createServer((req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        if (url.pathname === '/api' || url.pathname.startsWith('/api/')) handleApi(req, res, url);
+        else serveApp(req, res, url);
+    });
+
+    // A check still posting (slow webhooks) is not run again beside itself
+    let checking = null;
+    const checkAnnouncements = () => {
+        if (checking) return;
+        checking = postDueAnnouncements().catch(e => console.error(e)).finally(() => {
+            checking = null;
+        });
+    };
+    let timer = null;
+    server.on('listening', () => {
+        clearInterval(timer);
+        timer = setInterval(checkAnnouncements, ANNOUNCE_CHECK);
+        checkAnnouncements();
+    });
+    server.on('close', () => clearInterval(timer));
+    return server;
+}